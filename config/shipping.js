@@ -0,0 +1,42 @@
+// backend/config/shipping.js
+// Shipping zones. Each zone lists ISO 3166-1 alpha-2 country codes ('*' matches any country not in
+// another zone) and its rate rules; the cheapest applicable rule is charged.
+// Rule types: { type: 'flat', amount }, { type: 'weight_based', base, per_kg, max_weight_kg? },
+// { type: 'free_over_threshold', threshold }.
+// Override the defaults by setting SHIPPING_ZONES to a JSON array of zones.
+const DEFAULT_SHIPPING_ZONES = [
+    {
+        name: 'Domestic',
+        countries: ['US'],
+        rules: [
+            { type: 'flat', amount: 5.99 },
+            { type: 'free_over_threshold', threshold: 100 }
+        ]
+    },
+    {
+        name: 'International',
+        countries: ['*'],
+        rules: [
+            { type: 'weight_based', base: 15, per_kg: 4.5 }
+        ]
+    }
+];
+
+// A malformed SHIPPING_ZONES stops the server at startup rather than failing every checkout later.
+// The zones themselves are checked by services/shippingCalculator.js, which knows the rule types.
+const parseShippingZones = (value) => {
+    let zones;
+    try {
+        zones = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`SHIPPING_ZONES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(zones)) {
+        throw new Error('SHIPPING_ZONES must be a JSON array of zones.');
+    }
+    return zones;
+};
+
+const shippingZones = process.env.SHIPPING_ZONES ? parseShippingZones(process.env.SHIPPING_ZONES) : DEFAULT_SHIPPING_ZONES;
+
+module.exports = shippingZones;
@@ -0,0 +1,9 @@
+// backend/config/stripe.js
+// REMOVED: require('dotenv').config(); // Render handles env vars directly
+
+// Temporary: Use a dummy key if STRIPE_SECRET_KEY is not found in environment variables.
+// This allows the server to start, but actual Stripe payments will fail until the correct key is set on Render.
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_DUMMY_KEY_FOR_RENDER_DEPLOYMENT'); // Initialize Stripe
+
+// Export the shared Stripe client to be used by other modules
+module.exports = stripe;
@@ -0,0 +1,41 @@
+// backend/config/tax.js
+// Tax rates per region: { country, region?, rate, name?, shipping_taxable? }. `rate` is a fraction (0.075 = 7.5%).
+// A rate with a region (state/province code) takes precedence over the country-wide one; addresses with
+// no matching rate are not taxed.
+// Set TAX_RATES to a JSON array of rates, e.g.
+// [{ "country": "US", "region": "CA", "rate": 0.0725 }, { "country": "GB", "rate": 0.2, "shipping_taxable": true }]
+
+// A malformed TAX_RATES stops the server at startup rather than failing every checkout later
+const parseTaxRates = (value) => {
+    let rates;
+    try {
+        rates = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`TAX_RATES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(rates)) {
+        throw new Error('TAX_RATES must be a JSON array of rates.');
+    }
+    rates.forEach((rate, index) => {
+        if (!rate || typeof rate !== 'object') {
+            throw new Error(`TAX_RATES[${index}] must be an object.`);
+        }
+        if (typeof rate.country !== 'string' || rate.country.trim() === '') {
+            throw new Error(`TAX_RATES[${index}] needs a country code.`);
+        }
+        if (rate.region !== undefined && rate.region !== null && typeof rate.region !== 'string') {
+            throw new Error(`TAX_RATES[${index}] has a region that is not a string.`);
+        }
+        if (typeof rate.rate !== 'number' || !(rate.rate >= 0 && rate.rate <= 1)) {
+            throw new Error(`TAX_RATES[${index}] needs a numeric rate between 0 and 1 (0.075 = 7.5%).`);
+        }
+        if (rate.shipping_taxable !== undefined && typeof rate.shipping_taxable !== 'boolean') {
+            throw new Error(`TAX_RATES[${index}] has a shipping_taxable that is not true or false.`);
+        }
+    });
+    return rates;
+};
+
+const taxRates = process.env.TAX_RATES ? parseTaxRates(process.env.TAX_RATES) : [];
+
+module.exports = taxRates;
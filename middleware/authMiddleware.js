@@ -1,10 +1,15 @@
 // backend/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
+const pool = require('../config/db'); // Import the database pool
+const { PERMISSIONS, ALL_PERMISSIONS, ADMIN_ROLE, hasPermission } = require('../services/roleService');
 // REMOVED: require('dotenv').config(); // Load environment variables
 
 const JWT_SECRET = process.env.JWT_SECRET; // JWT_SECRET will now come directly from Render's env vars
 
 // Middleware to authenticate JWT token
+// Besides the signature, the token is checked against the user's current row so that
+// deactivated users, revoked sessions (token_version bumped) and changed roles are rejected immediately.
+// The permissions of the user's role are loaded with it, so permission changes apply to the next request.
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -13,26 +18,51 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Authentication token required.' }); // No token provided
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
         if (err) {
             console.error('JWT verification error:', err);
             return res.status(403).json({ message: 'Invalid or expired token.' }); // Token is invalid or expired
         }
-        req.user = user; // Attach user payload (userId, role) to the request
+
+        try {
+            const userResult = await pool.query(
+                `SELECT u.role, u.token_version, u.deactivated_at, ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = u.role) AS permissions
+                 FROM users u WHERE u.id = $1`,
+                [user.userId]
+            );
+            const currentUser = userResult.rows[0];
+            if (!currentUser || currentUser.deactivated_at || currentUser.token_version !== (user.tokenVersion || 0) || currentUser.role !== user.role) {
+                return res.status(401).json({ message: 'Token is no longer valid. Please refresh it or log in again.' });
+            }
+            user.permissions = currentUser.role === ADMIN_ROLE ? ALL_PERMISSIONS : currentUser.permissions;
+        } catch (dbErr) {
+            console.error('Error checking token revocation:', dbErr.message);
+            return res.status(500).json({ message: 'Server error during authentication.' });
+        }
+
+        req.user = user; // Attach user payload (userId, role) and permissions to the request
         next(); // Proceed to the next middleware/route handler
     });
 };
 
-// Middleware to check if the authenticated user is an admin
-const isAdmin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
-        next(); // User is an admin, proceed
-    } else {
-        return res.status(403).json({ message: 'Access denied. Administrator privileges required.' }); // Not an admin
+// Middleware factory to check the authenticated user's role grants every one of `permissions`,
+// e.g. requirePermission('orders:update'). Unknown permission names fail at startup rather than on every request.
+const requirePermission = (...permissions) => {
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (permissions.length === 0 || unknown.length > 0) {
+        throw new Error(`requirePermission: unknown permission(s) ${unknown.join(', ')}.`);
     }
+
+    return (req, res, next) => {
+        const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+        if (missing.length > 0) {
+            return res.status(403).json({ message: `Access denied. Requires the ${missing.join(', ')} permission${missing.length > 1 ? 's' : ''}.` });
+        }
+        next(); // User's role grants the permissions, proceed
+    };
 };
 
 module.exports = {
     authenticateToken,
-    isAdmin
+    requirePermission
 };
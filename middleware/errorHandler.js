@@ -0,0 +1,62 @@
+// backend/middleware/errorHandler.js
+// One JSON shape for every error response: { message, code, details? }.
+// Routes respond with res.status(4xx/5xx).json({ message }); errorResponses adds the machine-readable code
+// for the status unless the route set its own (e.g. VALIDATION_ERROR from middleware/validate.js).
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+const errorCodeForStatus = (status) => ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// Middleware adding `code` to JSON error bodies
+const errorResponses = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body !== null && typeof body === 'object' && !Array.isArray(body) && body.code === undefined) {
+            return json({ ...body, code: errorCodeForStatus(res.statusCode) });
+        }
+        return json(body);
+    };
+    next();
+};
+
+// Requests no route matched
+const notFoundHandler = (req, res) => {
+    res.status(404).json({ message: `Route ${req.method} ${req.path} not found.` });
+};
+
+// Errors passed to next() or thrown by a handler. Only client errors raised by Express itself (bad JSON,
+// body too large, ...) are described to the client; anything else is logged and reported generically.
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ message: 'Request body is not valid JSON.', code: 'INVALID_JSON' });
+    }
+    const status = err.status || err.statusCode;
+    if (err.expose && status >= 400 && status < 500) {
+        return res.status(status).json({ message: err.message });
+    }
+    console.error(err.stack);
+    res.status(500).json({ message: 'Internal server error.' });
+};
+
+module.exports = {
+    errorCodeForStatus,
+    errorResponses,
+    notFoundHandler,
+    errorHandler
+};
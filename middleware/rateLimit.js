@@ -0,0 +1,129 @@
+// backend/middleware/rateLimit.js
+// Fixed-window rate limits and progressive lockouts. Counters live in the store picked by RATE_LIMIT_STORE:
+// 'memory' (default, per process) or 'postgres' (shared by every instance, see migrations/019_rate_limits.sql).
+//
+//   const loginLimiter = rateLimit({ name: 'login-ip', windowMs: 15 * 60 * 1000, max: 20 });
+//   router.post('/login', loginLimiter, handler);
+//
+// Limited responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds) headers; a request
+// over the limit gets 429 with Retry-After. When the store fails the request is let through and the error logged.
+const pool = require('../config/db'); // Import the database pool
+const { createMemoryStore, createPostgresStore } = require('../services/rateLimitStore');
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const store = RATE_LIMIT_STORE === 'postgres' ? createPostgresStore(pool) : createMemoryStore();
+
+// Request keys: the client IP (see 'trust proxy' in server.js) and the authenticated user
+const byIp = (req) => req.ip;
+const byUser = (req) => (req.user ? req.user.userId : null);
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+// Respond 429 with Retry-After
+const sendTooManyRequests = (res, retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ message, retryAfter });
+};
+
+// Middleware allowing `max` requests per `windowMs` for each key. `key(req)` returning null skips the limit.
+// When several limiters apply to one route, the headers describe the one closest to its limit.
+const rateLimit = ({ name, windowMs, max, key = byIp, message = 'Too many requests. Please try again later.' }) => async (req, res, next) => {
+    const id = key(req);
+    if (id === null || id === undefined) {
+        return next();
+    }
+
+    let hit;
+    try {
+        hit = await store.increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+        console.error(`Error checking rate limit ${name}:`, error.message);
+        return next();
+    }
+
+    const remaining = Math.max(max - hit.count, 0);
+    const reset = secondsUntil(hit.resetAt);
+    const currentRemaining = res.get('RateLimit-Remaining');
+    if (currentRemaining === undefined || remaining <= Number(currentRemaining)) {
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(remaining));
+        res.set('RateLimit-Reset', String(reset));
+    }
+
+    if (hit.count > max) {
+        return sendTooManyRequests(res, reset, message);
+    }
+    next();
+};
+
+// Progressive lockout for an action that can fail, e.g. logging in to an account:
+// after `maxFailures` failures within `failureWindowMs` the key is locked for `baseLockMs`, doubling with every
+// further failure up to `maxLockMs`. A success clears the failures. `key(req)` returns the account being tried.
+//   lockout.check        middleware responding 429 while the key is locked
+//   lockout.recordFailure(req) / lockout.reset(req)
+const createLockout = ({
+    name,
+    key,
+    maxFailures = 5,
+    failureWindowMs = 24 * 60 * 60 * 1000,
+    baseLockMs = 60 * 1000,
+    maxLockMs = 60 * 60 * 1000,
+    message = 'Too many failed attempts. Please try again later.'
+}) => {
+    const failureKey = (req) => `failures:${name}:${key(req)}`;
+    const lockKey = (req) => `lockout:${name}:${key(req)}`;
+
+    return {
+        check: async (req, res, next) => {
+            let lock;
+            try {
+                lock = await store.get(lockKey(req));
+            } catch (error) {
+                console.error(`Error checking lockout ${name}:`, error.message);
+                return next();
+            }
+            if (lock) {
+                return sendTooManyRequests(res, secondsUntil(lock.resetAt), message);
+            }
+            next();
+        },
+        recordFailure: async (req) => {
+            try {
+                const failures = await store.increment(failureKey(req), failureWindowMs);
+                if (failures.count >= maxFailures) {
+                    const lockMs = Math.min(baseLockMs * 2 ** (failures.count - maxFailures), maxLockMs);
+                    await store.set(lockKey(req), failures.count, new Date(Date.now() + lockMs));
+                }
+            } catch (error) {
+                console.error(`Error recording failure for lockout ${name}:`, error.message);
+            }
+        },
+        reset: async (req) => {
+            try {
+                await store.reset(failureKey(req));
+                await store.reset(lockKey(req));
+            } catch (error) {
+                console.error(`Error resetting lockout ${name}:`, error.message);
+            }
+        }
+    };
+};
+
+// Periodically delete expired counters. unref() so the timer never keeps the process alive on its own.
+const startRateLimitSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        store.prune().catch(err => console.error('Error sweeping rate limits:', err.message));
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    byIp,
+    byUser,
+    rateLimit,
+    createLockout,
+    startRateLimitSweeper
+};
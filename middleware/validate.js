@@ -0,0 +1,187 @@
+// backend/middleware/validate.js
+// Declarative request validation. A schema lists the expected fields of req.params, req.query and req.body:
+//
+//   router.post('/', validate({
+//       params: { id: idParam },
+//       body: {
+//           items: { type: 'array', required: true, minItems: 1, items: { type: 'object', properties: { ... } } },
+//           note: { type: 'string', maxLength: 500, nullable: true }
+//       }
+//   }), handler);
+//
+// Field rules: type ('string' | 'integer' | 'number' | 'boolean' | 'date' | 'array' | 'object' | 'any', or an array
+// of types), required, nullable, min, max (numbers), minLength, maxLength, pattern (strings), enum, minItems,
+// maxItems, items (arrays), properties (objects). Fields not in the schema are allowed and left alone.
+// Params and query values arrive as text, so there integers, numbers and booleans are accepted in text form;
+// body values must have the right JSON type (e.g. "2" is not an integer). The request is never modified.
+// Failures respond 400 with { message, code: 'VALIDATION_ERROR', details: [{ location, field, message }] }.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Common rules
+const idParam = { type: 'integer', min: 1, required: true };
+const paginationQuery = {
+    limit: { type: 'integer', min: 1 },
+    offset: { type: 'integer', min: 0 }
+};
+
+// Value of `value` as `type`, or undefined if it isn't one. Text values are converted when `fromText` is set.
+const asType = (type, value, fromText) => {
+    const text = fromText && typeof value === 'string' ? value.trim() : null;
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' ? value : undefined;
+        case 'integer':
+            if (Number.isInteger(value)) {
+                return value;
+            }
+            return text !== null && /^-?\d+$/.test(text) ? Number(text) : undefined;
+        case 'number':
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return value;
+            }
+            return text !== null && text !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+            return text === 'true' || text === 'false' ? text === 'true' : undefined;
+        case 'date':
+            return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) ? value : undefined;
+        case 'array':
+            return Array.isArray(value) ? value : undefined;
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+        case 'any':
+            return value;
+        default:
+            throw new Error(`Unknown validation type "${type}".`);
+    }
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    date: 'a date (YYYY-MM-DD or ISO 8601)',
+    array: 'an array',
+    object: 'an object',
+    any: 'a value'
+};
+
+// Join a property name or array index onto a field path
+const fieldPath = (parent, key) => {
+    if (typeof key === 'number') {
+        return `${parent}[${key}]`;
+    }
+    return parent ? `${parent}.${key}` : key;
+};
+
+// Check one value against its rule, appending { field, message } for each problem
+const checkValue = (rule, value, field, errors, fromText) => {
+    if (value === undefined || (fromText && value === '')) {
+        if (rule.required) {
+            errors.push({ field, message: 'is required.' });
+        }
+        return;
+    }
+    if (value === null) {
+        if (!rule.nullable) {
+            errors.push({ field, message: rule.required ? 'is required.' : 'must not be null.' });
+        }
+        return;
+    }
+
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type || 'any'];
+    const typedType = types.find(type => asType(type, value, fromText) !== undefined);
+    if (!typedType) {
+        errors.push({ field, message: `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}.` });
+        return;
+    }
+    const typed = asType(typedType, value, fromText);
+
+    if (rule.enum && !rule.enum.includes(typed)) {
+        errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}.` });
+        return;
+    }
+    if (typeof typed === 'number') {
+        if (rule.min !== undefined && typed < rule.min) {
+            errors.push({ field, message: `must be at least ${rule.min}.` });
+        }
+        if (rule.max !== undefined && typed > rule.max) {
+            errors.push({ field, message: `must be at most ${rule.max}.` });
+        }
+    }
+    if (typeof typed === 'string') {
+        if (rule.minLength !== undefined && typed.trim().length < rule.minLength) {
+            errors.push({ field, message: rule.minLength === 1 ? 'must not be empty.' : `must be at least ${rule.minLength} characters long.` });
+        }
+        if (rule.maxLength !== undefined && typed.length > rule.maxLength) {
+            errors.push({ field, message: `must be at most ${rule.maxLength} characters long.` });
+        }
+        if (rule.pattern && !rule.pattern.test(typed)) {
+            errors.push({ field, message: rule.patternMessage || 'has an invalid format.' });
+        }
+    }
+    if (Array.isArray(typed)) {
+        if (rule.minItems !== undefined && typed.length < rule.minItems) {
+            errors.push({ field, message: `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}.` });
+        }
+        if (rule.maxItems !== undefined && typed.length > rule.maxItems) {
+            errors.push({ field, message: `must have at most ${rule.maxItems} items.` });
+        }
+        if (rule.items) {
+            typed.forEach((item, index) => checkValue(rule.items, item, fieldPath(field, index), errors, fromText));
+        }
+    }
+    if (typedType === 'object' && rule.properties) {
+        checkObject(rule.properties, typed, field, errors, fromText);
+    }
+};
+
+// Check each property of `properties` in `source`
+const checkObject = (properties, source, parent, errors, fromText) => {
+    for (const [key, rule] of Object.entries(properties)) {
+        checkValue(rule, source[key], fieldPath(parent, key), errors, fromText);
+    }
+};
+
+// Validate `req` against `schema` ({ params, query, body }). Returns the list of problems, empty when valid.
+const validateRequest = (schema, req) => {
+    const details = [];
+    for (const location of ['params', 'query', 'body']) {
+        if (!schema[location]) {
+            continue;
+        }
+        const source = req[location] === undefined ? {} : req[location];
+        const errors = [];
+        if (asType('object', source) === undefined) {
+            errors.push({ field: location, message: 'must be an object.' });
+        } else {
+            checkObject(schema[location], source, '', errors, location !== 'body');
+        }
+        details.push(...errors.map(error => ({ location, ...error })));
+    }
+    return details;
+};
+
+// Middleware rejecting requests that don't match `schema`
+const validate = (schema) => (req, res, next) => {
+    const details = validateRequest(schema, req);
+    if (details.length > 0) {
+        return res.status(400).json({
+            message: `Invalid request: ${details.map(detail => `${detail.field} ${detail.message}`).join(' ')}`,
+            code: 'VALIDATION_ERROR',
+            details
+        });
+    }
+    next();
+};
+
+module.exports = {
+    idParam,
+    paginationQuery,
+    validateRequest,
+    validate
+};
@@ -0,0 +1,19 @@
+-- migrations/001_product_search.sql
+-- Full-text search over products for GET /api/products?q=
+-- Apply with: psql "$DATABASE_URL" -f migrations/001_product_search.sql
+
+-- Weighted search document: name matches rank above category, which ranks above description
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+
+-- Support the listing filters and keyset pagination sorts
+CREATE INDEX IF NOT EXISTS idx_products_category_lower ON products (LOWER(category));
+CREATE INDEX IF NOT EXISTS idx_products_price_id ON products (price, id);
+CREATE INDEX IF NOT EXISTS idx_products_created_at_id ON products (created_at, id);
@@ -0,0 +1,22 @@
+-- migrations/003_refresh_tokens.sql
+-- Rotating refresh tokens and access token revocation
+-- Apply with: psql "$DATABASE_URL" -f migrations/003_refresh_tokens.sql
+
+-- Bumped to invalidate every access token already issued to a user (logout all, theft, role change)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- Only the SHA-256 hash of a refresh token is stored. Every token issued from one login shares a family_id,
+-- so presenting an already rotated token can revoke the whole chain.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens (user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens (family_id);
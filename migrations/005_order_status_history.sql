@@ -0,0 +1,19 @@
+-- migrations/005_order_status_history.sql
+-- Order lifecycle: status history and stock restoration tracking
+-- Apply with: psql "$DATABASE_URL" -f migrations/005_order_status_history.sql
+
+-- Set once the order's items have been put back into stock, so it can never happen twice
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_restored_at TIMESTAMP;
+
+-- One row per status change. changed_by is NULL for system changes (e.g. Stripe webhooks).
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    changed_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history (order_id);
@@ -0,0 +1,31 @@
+-- migrations/006_refunds.sql
+-- Stripe refunds (full, per line item or by amount) and disputes
+-- Apply with: psql "$DATABASE_URL" -f migrations/006_refunds.sql
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_refunded NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS dispute_status VARCHAR(50);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS refunded_quantity INTEGER NOT NULL DEFAULT 0;
+
+-- One row per Stripe refund. created_by is NULL for refunds made outside the API (e.g. the Stripe dashboard).
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    stripe_refund_id VARCHAR(255) UNIQUE,
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    restocked BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Line items covered by a refund, when it was made per item
+CREATE TABLE IF NOT EXISTS refund_items (
+    id SERIAL PRIMARY KEY,
+    refund_id INTEGER NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    amount NUMERIC(10, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds (order_id);
@@ -0,0 +1,21 @@
+-- migrations/007_webhook_events.sql
+-- Stored Stripe webhook events for deduplication, retries and replay
+-- Apply with: psql "$DATABASE_URL" -f migrations/007_webhook_events.sql
+
+-- Keyed by the Stripe event id, so a redelivered event maps onto the same row.
+-- status: pending -> processing -> processed | failed | ignored (no handler for the type)
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id VARCHAR(255) PRIMARY KEY,
+    type VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_retry_at TIMESTAMP,
+    received_at TIMESTAMP DEFAULT NOW(),
+    processed_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status_retry ON webhook_events (status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_type ON webhook_events (type);
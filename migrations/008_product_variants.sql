@@ -0,0 +1,25 @@
+-- migrations/008_product_variants.sql
+-- Product variants (e.g. color / storage options), each with its own SKU, price override and stock
+-- Apply with: psql "$DATABASE_URL" -f migrations/008_product_variants.sql
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(100) NOT NULL UNIQUE,
+    attributes JSONB NOT NULL DEFAULT '{}', -- e.g. {"color": "Black", "storage": "256GB"}
+    price NUMERIC(10, 2) CHECK (price >= 0), -- NULL means "use the product price"
+    stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+    image_url TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants (product_id);
+
+-- Ordered variants can't be deleted, like ordered products
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+
+-- The same product can be in the cart once per variant
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_user_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_user_product_variant ON cart_items (user_id, product_id, (COALESCE(variant_id, 0)));
@@ -0,0 +1,27 @@
+-- migrations/009_product_specifications.sql
+-- Typed, per-category specification attributes (RAM, screen size, battery, ...) and product values
+-- Apply with: psql "$DATABASE_URL" -f migrations/009_product_specifications.sql
+
+CREATE TABLE IF NOT EXISTS spec_attributes (
+    id SERIAL PRIMARY KEY,
+    category VARCHAR(100) NOT NULL,
+    key VARCHAR(100) NOT NULL, -- machine name used in filters, e.g. ram, screen_size
+    label VARCHAR(255) NOT NULL, -- display name, e.g. RAM
+    data_type VARCHAR(20) NOT NULL CHECK (data_type IN ('number', 'text', 'boolean')),
+    unit VARCHAR(20), -- e.g. GB, in, mAh
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (category, key)
+);
+
+-- Exactly one value column is used, depending on the attribute's data_type
+CREATE TABLE IF NOT EXISTS product_specs (
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    attribute_id INTEGER NOT NULL REFERENCES spec_attributes(id) ON DELETE CASCADE,
+    value_number NUMERIC,
+    value_text TEXT,
+    value_boolean BOOLEAN,
+    PRIMARY KEY (product_id, attribute_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_specs_attribute_number ON product_specs (attribute_id, value_number);
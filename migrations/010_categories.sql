@@ -0,0 +1,42 @@
+-- migrations/010_categories.sql
+-- Hierarchical categories replacing the free-text products.category column
+-- Apply with: psql "$DATABASE_URL" -f migrations/010_categories.sql
+
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (parent_id IS NULL OR parent_id <> id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories (parent_id);
+
+-- products.category is kept as the category's name so search and spec attributes keep working
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_products_category_id ON products (category_id);
+
+-- Map the existing strings onto top-level categories. Case and surrounding whitespace are ignored,
+-- so "Laptops", "laptops" and " Laptops " become one category. Near-duplicates such as "Laptop"
+-- still need to be merged by hand afterwards (move their products, then delete the empty category).
+INSERT INTO categories (name, slug)
+SELECT INITCAP(TRIM(MIN(category))),
+       TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-', 'g'))
+FROM products
+WHERE category IS NOT NULL AND TRIM(category) <> ''
+GROUP BY LOWER(TRIM(category)), TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-', 'g'))
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE products p
+SET category_id = c.id, category = c.name
+FROM categories c
+WHERE p.category_id IS NULL
+  AND c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(p.category)), '[^a-z0-9]+', '-', 'g'));
+
+UPDATE spec_attributes sa
+SET category = c.name
+FROM categories c
+WHERE c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(sa.category)), '[^a-z0-9]+', '-', 'g'));
@@ -0,0 +1,32 @@
+-- migrations/011_product_reviews.sql
+-- Product reviews from verified buyers, helpful votes and denormalized rating aggregates
+-- Apply with: psql "$DATABASE_URL" -f migrations/011_product_reviews.sql
+
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(255),
+    body TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'published' CHECK (status IN ('published', 'hidden', 'flagged')),
+    moderation_note TEXT,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    helpful_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (product_id, user_id) -- one review per product per user
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_status ON product_reviews (product_id, status);
+
+CREATE TABLE IF NOT EXISTS review_helpful_votes (
+    review_id INTEGER NOT NULL REFERENCES product_reviews(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (review_id, user_id)
+);
+
+-- Aggregates over published reviews, kept up to date by the review routes
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3, 2);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
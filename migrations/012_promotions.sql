@@ -0,0 +1,53 @@
+-- migrations/012_promotions.sql
+-- Coupon / promotion engine: rules, scoping, redemptions and per-order discount breakdown
+-- Apply with: psql "$DATABASE_URL" -f migrations/012_promotions.sql
+
+CREATE TABLE IF NOT EXISTS promotions (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE, -- stored upper-case, matched case-insensitively
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y')),
+    value NUMERIC(10, 2), -- percent off for 'percentage', amount off for 'fixed_amount'
+    buy_quantity INTEGER CHECK (buy_quantity > 0), -- 'buy_x_get_y': buy X ...
+    get_quantity INTEGER CHECK (get_quantity > 0), -- ... get Y of the cheapest eligible units free
+    min_cart_value NUMERIC(10, 2),
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    usage_limit INTEGER CHECK (usage_limit > 0), -- NULL means unlimited
+    usage_limit_per_user INTEGER CHECK (usage_limit_per_user > 0),
+    times_used INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Optional scoping. A promotion with no products and no categories applies to the whole cart.
+CREATE TABLE IF NOT EXISTS promotion_products (
+    promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    PRIMARY KEY (promotion_id, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS promotion_categories (
+    promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE, -- includes subcategories
+    PRIMARY KEY (promotion_id, category_id)
+);
+
+-- Redeemed promotions can't be deleted, only deactivated
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+    id SERIAL PRIMARY KEY,
+    promotion_id INTEGER NOT NULL REFERENCES promotions(id),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    discount_amount NUMERIC(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion_user ON promotion_redemptions (promotion_id, user_id);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promotion_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS free_shipping BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
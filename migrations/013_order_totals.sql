@@ -0,0 +1,14 @@
+-- migrations/013_order_totals.sql
+-- Order totals broken down into subtotal, discount, shipping and tax; structured shipping addresses; product weights
+-- Apply with: psql "$DATABASE_URL" -f migrations/013_order_totals.sql
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_kg NUMERIC(10, 3) NOT NULL DEFAULT 0 CHECK (weight_kg >= 0);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal NUMERIC(10, 2); -- merchandise total before discount
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+-- { full_name, line1, line2, city, region, postal_code, country }; shipping_address keeps a single-line copy
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address_details JSONB;
+
+-- Existing orders had no shipping or tax: total_amount = subtotal - discount
+UPDATE orders SET subtotal = total_amount + discount_amount WHERE subtotal IS NULL;
@@ -0,0 +1,26 @@
+-- migrations/014_user_addresses.sql
+-- Address book: saved addresses per user with default shipping and billing flags
+-- Apply with: psql "$DATABASE_URL" -f migrations/014_user_addresses.sql
+
+CREATE TABLE IF NOT EXISTS user_addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50), -- e.g. "Home", "Office"
+    full_name VARCHAR(255),
+    line1 VARCHAR(255) NOT NULL,
+    line2 VARCHAR(255),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    postal_code VARCHAR(20) NOT NULL,
+    country CHAR(2) NOT NULL,
+    phone VARCHAR(30),
+    is_default_shipping BOOLEAN NOT NULL DEFAULT FALSE,
+    is_default_billing BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_addresses_user ON user_addresses (user_id);
+-- At most one default shipping and one default billing address per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default_shipping ON user_addresses (user_id) WHERE is_default_shipping;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default_billing ON user_addresses (user_id) WHERE is_default_billing;
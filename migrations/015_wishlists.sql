@@ -0,0 +1,22 @@
+-- migrations/015_wishlists.sql
+-- Wishlists and back-in-stock ("notify me") subscriptions
+-- Apply with: psql "$DATABASE_URL" -f migrations/015_wishlists.sql
+
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, product_id)
+);
+
+-- One subscription per user and product. notified_at is set when the notification is queued,
+-- so a subscriber is only notified once (until they subscribe again).
+CREATE TABLE IF NOT EXISTS stock_notifications (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    notified_at TIMESTAMP,
+    PRIMARY KEY (user_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_notifications_pending ON stock_notifications (product_id) WHERE notified_at IS NULL;
@@ -0,0 +1,46 @@
+-- migrations/016_stock_movements.sql
+-- Append-only inventory ledger and per-product low-stock thresholds
+-- Apply with: psql "$DATABASE_URL" -f migrations/016_stock_movements.sql
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id BIGSERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE, -- NULL when the product itself holds the stock
+    change INTEGER NOT NULL CHECK (change <> 0), -- positive adds stock, negative removes it
+    quantity_after INTEGER NOT NULL, -- stock level right after this movement
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('sale', 'cancel', 'restock', 'adjustment', 'return')),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- who made the change; NULL for system changes
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements (product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_reason ON stock_movements (reason, created_at DESC);
+
+-- Ledger rows are never edited
+CREATE OR REPLACE FUNCTION stock_movements_block_update() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'stock_movements is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stock_movements_no_update ON stock_movements;
+CREATE TRIGGER stock_movements_no_update BEFORE UPDATE ON stock_movements
+    FOR EACH ROW EXECUTE FUNCTION stock_movements_block_update();
+
+-- NULL uses the LOW_STOCK_THRESHOLD default
+ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER CHECK (low_stock_threshold >= 0);
+
+-- Opening balances, so the ledger of existing products adds up to their current stock
+INSERT INTO stock_movements (product_id, change, quantity_after, reason, note)
+SELECT p.id, p.stock_quantity, p.stock_quantity, 'adjustment', 'Opening balance'
+FROM products p
+WHERE p.stock_quantity <> 0
+  AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id AND m.variant_id IS NULL);
+
+INSERT INTO stock_movements (product_id, variant_id, change, quantity_after, reason, note)
+SELECT v.product_id, v.id, v.stock_quantity, v.stock_quantity, 'adjustment', 'Opening balance'
+FROM product_variants v
+WHERE v.stock_quantity <> 0
+  AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.variant_id = v.id);
@@ -0,0 +1,20 @@
+-- migrations/017_stock_reservations.sql
+-- Stock reservations: unpaid orders hold their stock until reserved_until, then get cancelled
+-- Apply with: psql "$DATABASE_URL" -f migrations/017_stock_reservations.sql
+
+-- 'active' while unpaid and holding stock, 'converted' once paid, 'released' once cancelled
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reservation_status VARCHAR(20) CHECK (reservation_status IN ('active', 'converted', 'released'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reserved_until TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_orders_active_reservations ON orders (reserved_until) WHERE reservation_status = 'active';
+
+-- Existing orders: paid ones are sales, cancelled ones already returned their stock. Unpaid pending orders get
+-- a 24 hour grace period before the sweeper releases their stock.
+UPDATE orders SET reservation_status = 'converted'
+WHERE reservation_status IS NULL AND payment_status IN ('completed', 'refunded', 'partially_refunded');
+
+UPDATE orders SET reservation_status = 'released'
+WHERE reservation_status IS NULL AND status = 'cancelled';
+
+UPDATE orders SET reservation_status = 'active', reserved_until = NOW() + INTERVAL '24 hours'
+WHERE reservation_status IS NULL AND status = 'pending';
@@ -0,0 +1,8 @@
+-- migrations/018_product_sku.sql
+-- Product-level SKUs, used to match rows of the CSV product import to existing products
+-- Apply with: psql "$DATABASE_URL" -f migrations/018_product_sku.sql
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(100) UNIQUE;
+
+-- Rows without a SKU are matched by name, case-insensitively
+CREATE INDEX IF NOT EXISTS idx_products_lower_name ON products (LOWER(name));
@@ -0,0 +1,13 @@
+-- migrations/019_rate_limits.sql
+-- Rate limit counters and login lockouts shared between instances (RATE_LIMIT_STORE=postgres)
+-- Apply with: psql "$DATABASE_URL" -f migrations/019_rate_limits.sql
+
+-- One row per limited key, e.g. "login-ip:203.0.113.7" or "lockout:login:jane@example.com".
+-- Rows past reset_at are expired; the rate limit sweeper deletes them.
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits (reset_at);
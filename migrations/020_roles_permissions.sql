@@ -0,0 +1,79 @@
+-- migrations/020_roles_permissions.sql
+-- Roles and permissions: users.role names a role, and a role grants permissions to staff.
+-- 'admin' always has every permission (enforced in services/roleService.js), 'user' has none.
+-- Apply with: psql "$DATABASE_URL" -f migrations/020_roles_permissions.sql
+
+CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE, -- Built-in roles can't be deleted
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- The same names as PERMISSIONS in services/roleService.js
+CREATE TABLE IF NOT EXISTS permissions (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    permission VARCHAR(50) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+    PRIMARY KEY (role, permission)
+);
+
+INSERT INTO permissions (name, description) VALUES
+    ('users:read', 'View every user account and address book'),
+    ('users:write', 'Edit and delete other user accounts and their addresses'),
+    ('roles:manage', 'Create and edit roles and assign them to users'),
+    ('products:write', 'Create, edit, import, export and delete products, variants and specifications'),
+    ('categories:write', 'Manage categories and specification attributes'),
+    ('promotions:manage', 'Manage promotion codes'),
+    ('reviews:moderate', 'Moderate and delete product reviews'),
+    ('orders:read', 'View every order and its refunds'),
+    ('orders:update', 'Change the status of any order'),
+    ('orders:delete', 'Delete any order'),
+    ('payments:manage', 'Change payment status, pay for and refund any order'),
+    ('inventory:read', 'View the stock ledger and low-stock alerts'),
+    ('inventory:write', 'Receive and adjust stock and set low-stock thresholds'),
+    ('messages:read', 'Read every message'),
+    ('messages:reply', 'Answer customer messages and mark them read'),
+    ('messages:delete', 'Delete any message'),
+    ('reports:read', 'View sales reports'),
+    ('webhooks:manage', 'View and replay Stripe webhook events')
+ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO roles (name, description, is_system) VALUES
+    ('user', 'Customer account', TRUE),
+    ('admin', 'Full access', TRUE),
+    ('support', 'Support staff: reads and answers customer messages', TRUE),
+    ('warehouse', 'Warehouse staff: updates order status and stock', TRUE),
+    ('catalog_manager', 'Catalog manager: edits products and categories', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+    ('support', 'messages:read'),
+    ('support', 'messages:reply'),
+    ('support', 'orders:read'),
+    ('support', 'users:read'),
+    ('warehouse', 'orders:read'),
+    ('warehouse', 'orders:update'),
+    ('warehouse', 'inventory:read'),
+    ('warehouse', 'inventory:write'),
+    ('catalog_manager', 'products:write'),
+    ('catalog_manager', 'categories:write'),
+    ('catalog_manager', 'inventory:read')
+ON CONFLICT DO NOTHING;
+
+-- users.role now references roles; any role already in use gets a (permissionless) row first
+INSERT INTO roles (name) SELECT DISTINCT role FROM users WHERE role IS NOT NULL ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_fkey') THEN
+        ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+    END IF;
+END $$;
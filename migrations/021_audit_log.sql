@@ -0,0 +1,42 @@
+-- migrations/021_audit_log.sql
+-- Append-only audit log of staff mutations (who did what to which record, with before/after snapshots)
+-- Apply with: psql "$DATABASE_URL" -f migrations/021_audit_log.sql
+
+-- actor_id is not a foreign key: entries must outlive the user, and ON DELETE SET NULL would be an update
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id INTEGER,
+    actor_role VARCHAR(50),
+    action VARCHAR(100) NOT NULL,          -- e.g. 'order.status_update', 'user.delete'
+    entity_type VARCHAR(50) NOT NULL,      -- e.g. 'order', 'product', 'user'
+    entity_id TEXT,
+    before JSONB,                          -- NULL for creations
+    after JSONB,                           -- NULL for deletions
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id);
+
+-- Entries can only be added, never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- TRUNCATE skips row triggers
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+INSERT INTO permissions (name, description) VALUES ('audit:read', 'View the audit log of staff actions')
+ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description;
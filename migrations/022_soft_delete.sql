@@ -0,0 +1,16 @@
+-- migrations/022_soft_delete.sql
+-- Soft deletion: archived products leave the public catalog but stay in past orders, deactivated users can't
+-- log in but keep their order history. A purged user is anonymized rather than deleted.
+-- Apply with: psql "$DATABASE_URL" -f migrations/022_soft_delete.sql
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP; -- Personal data removed, can't be restored
+
+-- Most queries only look at the live catalog
+CREATE INDEX IF NOT EXISTS idx_products_live ON products (created_at DESC, id DESC) WHERE archived_at IS NULL;
+
+-- Orders are financial records: deleting a user must never take them along
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_id_fkey;
+ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT;
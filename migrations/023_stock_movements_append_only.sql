@@ -0,0 +1,24 @@
+-- migrations/023_stock_movements_append_only.sql
+-- Make the inventory ledger really append-only. ON DELETE SET NULL / CASCADE on its foreign keys updated or deleted
+-- ledger rows, so deleting an order with 'sale' movements hit the no-update trigger and failed.
+-- Apply with: psql "$DATABASE_URL" -f migrations/023_stock_movements_append_only.sql
+
+-- Like audit_log.actor_id: plain ids that outlive the order, user or variant they point to
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_user_id_fkey;
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_order_id_fkey;
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_variant_id_fkey;
+
+-- Products are archived rather than deleted (022_soft_delete.sql); one with stock history can't be deleted at all
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_product_id_fkey;
+ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_product_id_fkey
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE NO ACTION;
+
+-- Ledger rows are never edited or removed
+DROP TRIGGER IF EXISTS stock_movements_no_update ON stock_movements;
+CREATE TRIGGER stock_movements_no_update BEFORE UPDATE OR DELETE ON stock_movements
+    FOR EACH ROW EXECUTE FUNCTION stock_movements_block_update();
+
+-- TRUNCATE skips row triggers
+DROP TRIGGER IF EXISTS stock_movements_no_truncate ON stock_movements;
+CREATE TRIGGER stock_movements_no_truncate BEFORE TRUNCATE ON stock_movements
+    FOR EACH STATEMENT EXECUTE FUNCTION stock_movements_block_update();
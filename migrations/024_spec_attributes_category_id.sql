@@ -0,0 +1,41 @@
+-- migrations/024_spec_attributes_category_id.sql
+-- Spec attributes belong to a category row instead of a category name. Names aren't unique in the tree
+-- ("Accessories" can sit under both Laptops and Phones), so matching by name mixed their attributes up.
+-- Apply with: psql "$DATABASE_URL" -f migrations/024_spec_attributes_category_id.sql
+
+ALTER TABLE spec_attributes ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE;
+
+-- Attributes whose category name was never turned into a category get one, like 010_categories.sql did for products
+INSERT INTO categories (name, slug)
+SELECT INITCAP(TRIM(MIN(category))),
+       TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-', 'g'))
+FROM spec_attributes sa
+WHERE sa.category_id IS NULL
+  AND NOT EXISTS (SELECT 1 FROM categories c WHERE LOWER(c.name) = LOWER(TRIM(sa.category)))
+GROUP BY LOWER(TRIM(category)), TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-', 'g'))
+ON CONFLICT (slug) DO NOTHING;
+
+-- Where a name is used more than once, the top-level category (the one 010_categories.sql mapped) wins
+UPDATE spec_attributes sa
+SET category_id = match.id, category = match.name
+FROM (
+    SELECT DISTINCT ON (LOWER(name)) id, name
+    FROM categories
+    ORDER BY LOWER(name), (parent_id IS NULL) DESC, id
+) match
+WHERE sa.category_id IS NULL
+  AND LOWER(match.name) = LOWER(TRIM(sa.category));
+
+-- Names whose slug was already taken by a differently named category
+UPDATE spec_attributes sa
+SET category_id = c.id, category = c.name
+FROM categories c
+WHERE sa.category_id IS NULL
+  AND c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(sa.category)), '[^a-z0-9]+', '-', 'g'));
+
+ALTER TABLE spec_attributes ALTER COLUMN category_id SET NOT NULL;
+
+-- spec_attributes.category is kept as the category's name for display, like products.category
+ALTER TABLE spec_attributes DROP CONSTRAINT IF EXISTS spec_attributes_category_key_key;
+ALTER TABLE spec_attributes DROP CONSTRAINT IF EXISTS spec_attributes_category_id_key_key;
+ALTER TABLE spec_attributes ADD CONSTRAINT spec_attributes_category_id_key_key UNIQUE (category_id, key);
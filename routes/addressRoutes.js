@@ -0,0 +1,214 @@
+// backend/routes/addressRoutes.js
+// Mounted under /api/users/:id/addresses by userRoutes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // mergeParams exposes the user :id
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken } = require('../middleware/authMiddleware'); // Import auth middleware
+const { ADDRESS_SCHEMA, normalizeAddress } = require('../services/addressService');
+const { RoleError, hasPermission, assertCanManageUser } = require('../services/roleService');
+const { validate, idParam } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js); the country-specific address rules are applied by normalizeAddress
+const addressListSchema = { params: { id: idParam } };
+const addressIdSchema = { params: { id: idParam, addressId: idParam } };
+const addressBody = {
+    ...ADDRESS_SCHEMA.properties,
+    label: { type: 'string', maxLength: 50, nullable: true },
+    is_default_shipping: { type: 'boolean' },
+    is_default_billing: { type: 'boolean' }
+};
+const createAddressSchema = { params: { id: idParam }, body: addressBody };
+const updateAddressSchema = { params: { id: idParam, addressId: idParam }, body: addressBody };
+
+// Allow a user to manage their own addresses, staff with users:read to view anyone's and users:write to change them.
+// Like the other account changes in userRoutes.js, staff can't change the addresses of accounts whose role has
+// permissions they lack.
+const ownProfileOrStaff = async (req, res, next) => {
+    const isOwnProfile = parseInt(req.params.id) === req.user.userId;
+    const permission = req.method === 'GET' ? 'users:read' : 'users:write';
+    if (isOwnProfile) {
+        return next();
+    }
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ message: 'Access denied. You can only manage your own addresses.' });
+    }
+    if (req.method === 'GET') {
+        return next();
+    }
+
+    try {
+        const targetResult = await pool.query("SELECT role FROM users WHERE id = $1", [req.params.id]);
+        if (targetResult.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        await assertCanManageUser(pool, req.user, targetResult.rows[0].role);
+    } catch (error) {
+        if (error instanceof RoleError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error checking address access:', error.message);
+        return res.status(500).json({ message: 'Server error checking address access.' });
+    }
+    next();
+};
+
+// Helper function to normalize an address book entry. Returns { error } or { address } with its label.
+const validateAddressBody = (body) => {
+    const { error, address } = normalizeAddress(body);
+    if (error) {
+        return { error };
+    }
+    return { address: { ...address, label: body.label || null } };
+};
+
+// Clear a user's current default shipping/billing address before another one takes the flag
+const clearDefaults = async (client, userId, { is_default_shipping, is_default_billing }) => {
+    if (is_default_shipping) {
+        await client.query("UPDATE user_addresses SET is_default_shipping = FALSE WHERE user_id = $1 AND is_default_shipping", [userId]);
+    }
+    if (is_default_billing) {
+        await client.query("UPDATE user_addresses SET is_default_billing = FALSE WHERE user_id = $1 AND is_default_billing", [userId]);
+    }
+};
+
+
+// 1. Get a User's Addresses, defaults first (Admin, or user themselves)
+router.get('/', authenticateToken, validate(addressListSchema), ownProfileOrStaff, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const addresses = await pool.query(
+            "SELECT * FROM user_addresses WHERE user_id = $1 ORDER BY is_default_shipping DESC, is_default_billing DESC, created_at DESC",
+            [id]
+        );
+        res.json(addresses.rows);
+    } catch (error) {
+        console.error('Error fetching addresses:', error.message);
+        res.status(500).json({ message: 'Server error fetching addresses.' });
+    }
+});
+
+// 2. Get a single Address (Admin, or user themselves)
+router.get('/:addressId', authenticateToken, validate(addressIdSchema), ownProfileOrStaff, async (req, res) => {
+    const { id, addressId } = req.params;
+    try {
+        const addressResult = await pool.query("SELECT * FROM user_addresses WHERE id = $1 AND user_id = $2", [addressId, id]);
+        if (addressResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Address not found.' });
+        }
+        res.json(addressResult.rows[0]);
+    } catch (error) {
+        console.error('Error fetching address:', error.message);
+        res.status(500).json({ message: 'Server error fetching address.' });
+    }
+});
+
+// 3. Add an Address (Admin, or user themselves)
+// The first address a user saves becomes their default shipping and billing address.
+router.post('/', authenticateToken, validate(createAddressSchema), ownProfileOrStaff, async (req, res) => {
+    const { id } = req.params;
+    const { error: validationError, address } = validateAddressBody(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    const client = await pool.connect(); // Default flags move between addresses in one transaction
+
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query("SELECT COUNT(*) AS count FROM user_addresses WHERE user_id = $1", [id]);
+        const isFirst = parseInt(existing.rows[0].count) === 0;
+        const flags = {
+            is_default_shipping: isFirst || req.body.is_default_shipping === true,
+            is_default_billing: isFirst || req.body.is_default_billing === true
+        };
+        await clearDefaults(client, id, flags);
+
+        const newAddress = await client.query(
+            `INSERT INTO user_addresses (user_id, label, full_name, line1, line2, city, region, postal_code, country, phone,
+                                         is_default_shipping, is_default_billing)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             RETURNING *`,
+            [
+                id, address.label, address.full_name, address.line1, address.line2, address.city, address.region,
+                address.postal_code, address.country, address.phone, flags.is_default_shipping, flags.is_default_billing
+            ]
+        );
+
+        await client.query('COMMIT');
+        res.status(201).json(newAddress.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating address:', error.message);
+        if (error.code === '23503') { // PostgreSQL foreign key violation error code
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        res.status(500).json({ message: 'Server error creating address.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 4. Update an Address (Admin, or user themselves)
+// Orders keep their own copy of the address, so editing it here doesn't change past orders.
+// Omitted default flags keep their current value.
+router.put('/:addressId', authenticateToken, validate(updateAddressSchema), ownProfileOrStaff, async (req, res) => {
+    const { id, addressId } = req.params;
+    const { error: validationError, address } = validateAddressBody(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+    const { is_default_shipping = null, is_default_billing = null } = req.body;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query("SELECT id FROM user_addresses WHERE id = $1 AND user_id = $2 FOR UPDATE", [addressId, id]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Address not found.' });
+        }
+        await clearDefaults(client, id, { is_default_shipping, is_default_billing });
+
+        const updatedAddress = await client.query(
+            `UPDATE user_addresses
+             SET label = $1, full_name = $2, line1 = $3, line2 = $4, city = $5, region = $6, postal_code = $7, country = $8,
+                 phone = $9, is_default_shipping = COALESCE($10, is_default_shipping),
+                 is_default_billing = COALESCE($11, is_default_billing), updated_at = NOW()
+             WHERE id = $12
+             RETURNING *`,
+            [
+                address.label, address.full_name, address.line1, address.line2, address.city, address.region,
+                address.postal_code, address.country, address.phone, is_default_shipping, is_default_billing, addressId
+            ]
+        );
+
+        await client.query('COMMIT');
+        res.json(updatedAddress.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating address:', error.message);
+        res.status(500).json({ message: 'Server error updating address.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 5. Delete an Address (Admin, or user themselves)
+router.delete('/:addressId', authenticateToken, validate(addressIdSchema), ownProfileOrStaff, async (req, res) => {
+    const { id, addressId } = req.params;
+    try {
+        const deleteOp = await pool.query("DELETE FROM user_addresses WHERE id = $1 AND user_id = $2 RETURNING id", [addressId, id]);
+        if (deleteOp.rowCount === 0) {
+            return res.status(404).json({ message: 'Address not found.' });
+        }
+        res.status(200).json({ message: `Address with ID ${addressId} deleted successfully.` });
+    } catch (error) {
+        console.error('Error deleting address:', error.message);
+        res.status(500).json({ message: 'Server error deleting address.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// backend/routes/auditLogRoutes.js
+// Audit log of staff actions (see services/auditLog.js), mounted at /api/admin/audit-log (requires audit:read)
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { validate, idParam, paginationQuery } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const listAuditLogSchema = {
+    query: {
+        actorId: { type: 'integer', min: 1 },
+        action: { type: 'string', maxLength: 100 },
+        entityType: { type: 'string', maxLength: 50 },
+        entityId: { type: 'string', maxLength: 100 },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        ...paginationQuery
+    }
+};
+const auditEntrySchema = { params: { id: idParam } };
+
+// 1. List Audit Log entries, newest first (requires audit:read)
+// Query: actorId, action, entityType, entityId, from, to, limit (default 50, max 200), offset
+router.get('/', authenticateToken, requirePermission('audit:read'), validate(listAuditLogSchema), async (req, res) => {
+    const { actorId, action, entityType, entityId, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const conditions = [];
+    const values = [];
+    if (actorId) {
+        values.push(actorId);
+        conditions.push(`a.actor_id = $${values.length}`);
+    }
+    if (action) {
+        values.push(action);
+        conditions.push(`a.action = $${values.length}`);
+    }
+    if (entityType) {
+        values.push(entityType);
+        conditions.push(`a.entity_type = $${values.length}`);
+    }
+    if (entityId) {
+        values.push(entityId);
+        conditions.push(`a.entity_id = $${values.length}`);
+    }
+    if (from) {
+        values.push(from);
+        conditions.push(`a.created_at >= $${values.length}`);
+    }
+    if (to) {
+        values.push(to);
+        conditions.push(`a.created_at < $${values.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        // actor_id has no foreign key so entries outlive deleted users; the username is shown while the user exists
+        const entriesResult = await pool.query(
+            `SELECT a.*, u.username AS actor_username
+             FROM audit_log a
+             LEFT JOIN users u ON a.actor_id = u.id
+             ${where}
+             ORDER BY a.created_at DESC, a.id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM audit_log a ${where}`, values);
+
+        res.json({
+            entries: entriesResult.rows,
+            total: parseInt(countResult.rows[0].total),
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error.message);
+        res.status(500).json({ message: 'Server error fetching audit log.' });
+    }
+});
+
+// 2. Get a single Audit Log entry (requires audit:read)
+router.get('/:id', authenticateToken, requirePermission('audit:read'), validate(auditEntrySchema), async (req, res) => {
+    try {
+        const entryResult = await pool.query(
+            `SELECT a.*, u.username AS actor_username
+             FROM audit_log a
+             LEFT JOIN users u ON a.actor_id = u.id
+             WHERE a.id = $1`,
+            [req.params.id]
+        );
+        if (entryResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Audit log entry not found.' });
+        }
+        res.json(entryResult.rows[0]);
+    } catch (error) {
+        console.error('Error fetching audit log entry:', error.message);
+        res.status(500).json({ message: 'Server error fetching audit log entry.' });
+    }
+});
+
+module.exports = router;
@@ -2,21 +2,74 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/db'); // Import the database pool
-// REMOVED: require('dotenv').config(); // Load environment variables
+const { authenticateToken } = require('../middleware/authMiddleware'); // Import auth middleware
+const {
+    RefreshTokenError,
+    issueTokenPair,
+    rotateRefreshToken,
+    revokeRefreshTokenFamily,
+    revokeAllUserTokens
+} = require('../services/tokenService');
+const { createAccountToken, consumeAccountToken } = require('../services/accountTokenService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { getRolePermissions } = require('../services/roleService');
+const { validate } = require('../middleware/validate');
+const { byUser, rateLimit, createLockout } = require('../middleware/rateLimit');
 
-const JWT_SECRET = process.env.JWT_SECRET; // JWT_SECRET will now come directly from Render's env vars
+// When enabled, users must verify their email address before they can log in
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Request schemas (see middleware/validate.js)
+// Basic email format check (something@domain.tld); passwords follow the same rule as profile updates in userRoutes.js
+const emailRule = { type: 'string', required: true, maxLength: 255, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: 'must be a valid email address.' };
+const newPasswordRule = { type: 'string', required: true, minLength: 6, maxLength: 128 };
+const tokenRule = { type: 'string', required: true, minLength: 1, maxLength: 512 };
+const registerSchema = {
+    body: {
+        username: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+        email: emailRule,
+        password: newPasswordRule
+    }
+};
+const loginSchema = {
+    body: {
+        email: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+        password: { type: 'string', required: true, minLength: 1, maxLength: 128 }
+    }
+};
+const refreshTokenSchema = { body: { refreshToken: tokenRule } };
+const passwordResetRequestSchema = { body: { email: { type: 'string', required: true, minLength: 1, maxLength: 255 } } };
+const passwordResetConfirmSchema = { body: { token: tokenRule, password: newPasswordRule } };
+const verifyEmailSchema = { body: { token: tokenRule } };
+
+// Rate limits (see middleware/rateLimit.js); per client IP unless keyed otherwise
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const emailKey = (req) => req.body.email.trim().toLowerCase();
+const registerLimiter = rateLimit({ name: 'register-ip', windowMs: HOUR, max: 10 });
+const loginLimiter = rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20, message: 'Too many login attempts. Please try again later.' });
+const refreshLimiter = rateLimit({ name: 'refresh-ip', windowMs: 15 * MINUTE, max: 60 });
+const tokenLimiter = rateLimit({ name: 'account-token-ip', windowMs: 15 * MINUTE, max: 30 });
+const passwordResetLimiter = rateLimit({ name: 'password-reset-ip', windowMs: HOUR, max: 10 });
+const passwordResetEmailLimiter = rateLimit({ name: 'password-reset-email', windowMs: HOUR, max: 3, key: emailKey });
+const resendVerificationLimiter = rateLimit({ name: 'verify-email-resend', windowMs: HOUR, max: 3, key: byUser });
+
+// Progressive lockout of an account after repeated failed logins: 5 failures lock it for a minute,
+// each further failure doubles the lock, up to an hour. Applies whether or not the email is registered.
+const loginLockout = createLockout({
+    name: 'login',
+    key: emailKey,
+    maxFailures: 5,
+    baseLockMs: MINUTE,
+    maxLockMs: HOUR,
+    message: 'Too many failed login attempts for this account. Please try again later.'
+});
 
 // User Registration Route
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, validate(registerSchema), async (req, res) => {
     const { username, email, password } = req.body;
 
-    // Basic validation
-    if (!username || !email || !password) {
-        return res.status(400).json({ message: 'Username, email, and password are required.' });
-    }
-
     try {
         // Check if user already exists
         const existingUser = await pool.query('SELECT id FROM users WHERE email = $1 OR username = $2', [email, username]);
@@ -33,6 +86,14 @@ router.post('/register', async (req, res) => {
             [username, email, hashedPassword]
         );
 
+        // Send the verification email. A mail failure shouldn't fail the registration; the user can request a new one.
+        try {
+            const verificationToken = await createAccountToken(pool, newUser.rows[0].id, 'email_verification');
+            await sendVerificationEmail(newUser.rows[0], verificationToken);
+        } catch (mailError) {
+            console.error('Error sending verification email:', mailError.message);
+        }
+
         // Respond with the new user's public information
         res.status(201).json({
             id: newUser.rows[0].id,
@@ -48,18 +109,14 @@ router.post('/register', async (req, res) => {
 });
 
 // User Login Route
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, validate(loginSchema), loginLockout.check, async (req, res) => {
     const { email, password } = req.body;
 
-    // Basic validation
-    if (!email || !password) {
-        return res.status(400).json({ message: 'Email and password are required.' });
-    }
-
     try {
         // Retrieve user from database by email
         const userResult = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
         if (userResult.rows.length === 0) {
+            await loginLockout.recordFailure(req);
             return res.status(401).json({ message: 'Invalid credentials.' });
         }
 
@@ -68,24 +125,34 @@ router.post('/login', async (req, res) => {
         // Compare provided password with hashed password
         const isPasswordMatch = await bcrypt.compare(password, user.password_hash);
         if (!isPasswordMatch) {
+            await loginLockout.recordFailure(req);
             return res.status(401).json({ message: 'Invalid credentials.' });
         }
+        await loginLockout.reset(req);
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, role: user.role, username: user.username }, // Payload
-            JWT_SECRET, // Secret key
-            { expiresIn: '1h' } // Token expiration time
-        );
+        // Checked after the password so it doesn't reveal which emails belong to deactivated accounts
+        if (user.deactivated_at) {
+            return res.status(403).json({ message: 'This account has been deactivated.' });
+        }
+
+        if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+            return res.status(403).json({ message: 'Please verify your email address before logging in.' });
+        }
+
+        // Generate a short-lived JWT and a refresh token for this session
+        const { token, refreshToken } = await issueTokenPair(user);
 
-        // Respond with token and user details
+        // Respond with tokens and user details
         res.json({
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 username: user.username,
                 email: user.email,
-                role: user.role
+                role: user.role,
+                permissions: await getRolePermissions(pool, user.role), // What the frontend may show staff
+                emailVerified: Boolean(user.email_verified_at)
             }
         });
 
@@ -95,4 +162,163 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Refresh Token Route: exchange a refresh token for a new access/refresh pair
+router.post('/refresh', refreshLimiter, validate(refreshTokenSchema), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const { token, refreshToken: newRefreshToken, user } = await rotateRefreshToken(refreshToken);
+        res.json({
+            token,
+            refreshToken: newRefreshToken,
+            user: {
+                id: user.id,
+                username: user.username,
+                role: user.role,
+                permissions: await getRolePermissions(pool, user.role)
+            }
+        });
+    } catch (error) {
+        if (error instanceof RefreshTokenError) {
+            return res.status(401).json({ message: error.message });
+        }
+        console.error('Error refreshing token:', error.message);
+        res.status(500).json({ message: 'Server error refreshing token.' });
+    }
+});
+
+// Logout Route: revoke the session the refresh token belongs to
+router.post('/logout', validate(refreshTokenSchema), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const found = await revokeRefreshTokenFamily(refreshToken);
+        if (!found) {
+            return res.status(401).json({ message: 'Invalid refresh token.' });
+        }
+        res.json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Error during logout:', error.message);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+// Logout All Route: revoke every session of the authenticated user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await revokeAllUserTokens(pool, req.user.userId);
+        res.json({ message: 'Logged out of all sessions successfully.' });
+    } catch (error) {
+        console.error('Error during logout of all sessions:', error.message);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+// Request Password Reset Route
+// Always responds the same way so the endpoint can't be used to find out which emails are registered
+router.post('/password-reset/request', passwordResetLimiter, validate(passwordResetRequestSchema), passwordResetEmailLimiter, async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        const userResult = await pool.query("SELECT id, username, email FROM users WHERE email = $1 AND deactivated_at IS NULL", [email]);
+        if (userResult.rows.length > 0) {
+            const user = userResult.rows[0];
+            const resetToken = await createAccountToken(pool, user.id, 'password_reset');
+            await sendPasswordResetEmail(user, resetToken);
+        }
+        res.json({ message: 'If an account with that email exists, a password reset link has been sent.' });
+    } catch (error) {
+        console.error('Error requesting password reset:', error.message);
+        res.status(500).json({ message: 'Server error requesting password reset.' });
+    }
+});
+
+// Confirm Password Reset Route: set a new password with a reset token
+router.post('/password-reset/confirm', tokenLimiter, validate(passwordResetConfirmSchema), async (req, res) => {
+    const { token, password } = req.body;
+
+    const client = await pool.connect(); // Consume the token and change the password atomically
+
+    try {
+        await client.query('BEGIN');
+
+        const userId = await consumeAccountToken(client, token, 'password_reset');
+        if (!userId) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid or expired password reset token.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        // Receiving the reset email also proves the address belongs to the user
+        await client.query(
+            "UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $2",
+            [hashedPassword, userId]
+        );
+        // Sign out every existing session, in case the old password was compromised
+        await revokeAllUserTokens(client, userId);
+
+        await client.query('COMMIT');
+        res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error resetting password:', error.message);
+        res.status(500).json({ message: 'Server error resetting password.' });
+    } finally {
+        client.release();
+    }
+});
+
+// Verify Email Route
+router.post('/verify-email', tokenLimiter, validate(verifyEmailSchema), async (req, res) => {
+    const { token } = req.body;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const userId = await consumeAccountToken(client, token, 'email_verification');
+        if (!userId) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid or expired verification token.' });
+        }
+
+        await client.query(
+            "UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $1",
+            [userId]
+        );
+
+        await client.query('COMMIT');
+        res.json({ message: 'Email verified successfully.' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error verifying email:', error.message);
+        res.status(500).json({ message: 'Server error verifying email.' });
+    } finally {
+        client.release();
+    }
+});
+
+// Resend Verification Email Route (Authenticated User)
+router.post('/verify-email/resend', authenticateToken, resendVerificationLimiter, async (req, res) => {
+    try {
+        const userResult = await pool.query("SELECT id, username, email, email_verified_at FROM users WHERE id = $1", [req.user.userId]);
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const user = userResult.rows[0];
+        if (user.email_verified_at) {
+            return res.status(400).json({ message: 'Email is already verified.' });
+        }
+
+        const verificationToken = await createAccountToken(pool, user.id, 'email_verification');
+        await sendVerificationEmail(user, verificationToken);
+        res.json({ message: 'Verification email sent.' });
+    } catch (error) {
+        console.error('Error resending verification email:', error.message);
+        res.status(500).json({ message: 'Server error sending verification email.' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,278 @@
+// backend/routes/cartRoutes.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken } = require('../middleware/authMiddleware'); // Import auth middleware
+const { OrderError, createOrderInTransaction } = require('../services/orderService');
+const { PromotionError } = require('../services/promotionEngine');
+const { ShippingError } = require('../services/shippingCalculator');
+const { InventoryError } = require('../services/inventoryService');
+const { ADDRESS_SCHEMA, resolveShippingAddress } = require('../services/addressService');
+const { validate, idParam } = require('../middleware/validate');
+const { byUser, rateLimit } = require('../middleware/rateLimit');
+
+// Request schemas (see middleware/validate.js)
+const quantityRule = { type: 'integer', min: 1, max: 1000 };
+const addItemSchema = {
+    body: {
+        productId: { type: 'integer', required: true, min: 1 },
+        variantId: { type: 'integer', min: 1, nullable: true },
+        quantity: quantityRule
+    }
+};
+const cartItemSchema = {
+    params: { productId: idParam },
+    query: { variantId: { type: 'integer', min: 1 } }
+};
+const updateItemSchema = {
+    ...cartItemSchema,
+    body: { quantity: { ...quantityRule, required: true } }
+};
+const checkoutSchema = {
+    body: {
+        shipping_address: ADDRESS_SCHEMA,
+        addressId: { type: 'integer', min: 1, nullable: true },
+        promotion_code: { type: 'string', maxLength: 50, nullable: true }
+    }
+};
+
+// Rate limit on creating orders (see middleware/rateLimit.js), shared with POST /api/orders (orderRoutes.js) through its name
+const orderCreationLimiter = rateLimit({ name: 'order-create', windowMs: 60 * 60 * 1000, max: 20, key: byUser, message: 'Too many orders placed. Please try again later.' });
+
+// Helper function to load a user's cart with live prices and stock from products
+const fetchCart = async (userId) => {
+    const itemsResult = await pool.query(
+        `SELECT ci.product_id, ci.variant_id, ci.quantity, ci.updated_at, p.name, v.sku, v.attributes,
+                COALESCE(v.image_url, p.image_url) AS image_url,
+                COALESCE(v.price, p.price) AS price,
+                COALESCE(v.stock_quantity, p.stock_quantity) AS stock_quantity
+         FROM cart_items ci
+         JOIN products p ON ci.product_id = p.id
+         LEFT JOIN product_variants v ON ci.variant_id = v.id
+         WHERE ci.user_id = $1
+         ORDER BY ci.created_at ASC`,
+        [userId]
+    );
+
+    let subtotal = 0;
+    const items = itemsResult.rows.map(row => {
+        const price = parseFloat(row.price);
+        const stockQuantity = parseInt(row.stock_quantity);
+        const lineTotal = price * row.quantity;
+        subtotal += lineTotal;
+        return {
+            productId: row.product_id,
+            variantId: row.variant_id,
+            sku: row.sku,
+            attributes: row.attributes,
+            name: row.name,
+            image_url: row.image_url,
+            quantity: row.quantity,
+            price, // Current product price, not a stored snapshot
+            lineTotal,
+            stockQuantity,
+            inStock: stockQuantity >= row.quantity // False when stock dropped below the cart quantity
+        };
+    });
+
+    return {
+        items,
+        subtotal,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        canCheckout: items.length > 0 && items.every(item => item.inStock)
+    };
+};
+
+// Helper function to check a product (or one of its variants) exists and has enough stock for the requested quantity.
+// Products with variants can only be added with a variant selected.
+const checkProductStock = async (productId, variantId, quantity) => {
+    let stockResult;
+    if (variantId) {
+        stockResult = await pool.query(
+            "SELECT v.stock_quantity FROM product_variants v JOIN products p ON v.product_id = p.id WHERE v.id = $1 AND v.product_id = $2 AND p.archived_at IS NULL",
+            [variantId, productId]
+        );
+        if (stockResult.rows.length === 0) {
+            return { status: 404, message: 'Product variant not found.' };
+        }
+    } else {
+        stockResult = await pool.query(
+            "SELECT stock_quantity, EXISTS (SELECT 1 FROM product_variants WHERE product_id = $1) AS has_variants FROM products WHERE id = $1 AND archived_at IS NULL",
+            [productId]
+        );
+        if (stockResult.rows.length === 0) {
+            return { status: 404, message: 'Product not found.' };
+        }
+        if (stockResult.rows[0].has_variants) {
+            return { status: 400, message: 'Please select a variant for this product.' };
+        }
+    }
+    const available = parseInt(stockResult.rows[0].stock_quantity);
+    if (available < quantity) {
+        return { status: 400, message: `Not enough stock for product ID ${productId}. Available: ${available}, Requested: ${quantity}.` };
+    }
+    return null;
+};
+
+
+// 1. Get the current user's Cart (Authenticated User)
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        res.json(await fetchCart(req.user.userId));
+    } catch (error) {
+        console.error('Error fetching cart:', error.message);
+        res.status(500).json({ message: 'Server error fetching cart.' });
+    }
+});
+
+// 2. Add an item to the Cart (increments the quantity if the product is already in it)
+router.post('/items', authenticateToken, validate(addItemSchema), async (req, res) => {
+    const { productId, variantId = null, quantity = 1 } = req.body;
+    const userId = req.user.userId;
+
+    try {
+        const existing = await pool.query(
+            "SELECT quantity FROM cart_items WHERE user_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3",
+            [userId, productId, variantId]
+        );
+        const newQuantity = (existing.rows.length > 0 ? existing.rows[0].quantity : 0) + quantity;
+
+        const stockError = await checkProductStock(productId, variantId, newQuantity);
+        if (stockError) {
+            return res.status(stockError.status).json({ message: stockError.message });
+        }
+
+        await pool.query(
+            `INSERT INTO cart_items (user_id, product_id, variant_id, quantity) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)))
+             DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity, updated_at = NOW()`,
+            [userId, productId, variantId, quantity]
+        );
+        res.status(201).json(await fetchCart(userId));
+    } catch (error) {
+        console.error('Error adding item to cart:', error.message);
+        res.status(500).json({ message: 'Server error adding item to cart.' });
+    }
+});
+
+// 3. Update the quantity of a Cart item (pass ?variantId= for a product variant)
+router.patch('/items/:productId', authenticateToken, validate(updateItemSchema), async (req, res) => {
+    const { productId } = req.params;
+    const variantId = req.query.variantId || null;
+    const { quantity } = req.body;
+    const userId = req.user.userId;
+
+    try {
+        const stockError = await checkProductStock(productId, variantId, quantity);
+        if (stockError) {
+            return res.status(stockError.status).json({ message: stockError.message });
+        }
+
+        const updated = await pool.query(
+            `UPDATE cart_items SET quantity = $1, updated_at = NOW()
+             WHERE user_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4 RETURNING id`,
+            [quantity, userId, productId, variantId]
+        );
+        if (updated.rows.length === 0) {
+            return res.status(404).json({ message: 'Item not found in cart.' });
+        }
+        res.json(await fetchCart(userId));
+    } catch (error) {
+        console.error('Error updating cart item:', error.message);
+        res.status(500).json({ message: 'Server error updating cart item.' });
+    }
+});
+
+// 4. Remove an item from the Cart (pass ?variantId= for a product variant)
+router.delete('/items/:productId', authenticateToken, validate(cartItemSchema), async (req, res) => {
+    const { productId } = req.params;
+    const variantId = req.query.variantId || null;
+    const userId = req.user.userId;
+
+    try {
+        const deleteOp = await pool.query(
+            "DELETE FROM cart_items WHERE user_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3",
+            [userId, productId, variantId]
+        );
+        if (deleteOp.rowCount === 0) {
+            return res.status(404).json({ message: 'Item not found in cart.' });
+        }
+        res.json(await fetchCart(userId));
+    } catch (error) {
+        console.error('Error removing cart item:', error.message);
+        res.status(500).json({ message: 'Server error removing cart item.' });
+    }
+});
+
+// 5. Clear the Cart
+router.delete('/', authenticateToken, async (req, res) => {
+    try {
+        await pool.query("DELETE FROM cart_items WHERE user_id = $1", [req.user.userId]);
+        res.json({ message: 'Cart cleared successfully.' });
+    } catch (error) {
+        console.error('Error clearing cart:', error.message);
+        res.status(500).json({ message: 'Server error clearing cart.' });
+    }
+});
+
+// 6. Checkout: turn the Cart into an Order
+router.post('/checkout', authenticateToken, orderCreationLimiter, validate(checkoutSchema), async (req, res) => {
+    const { shipping_address, addressId, promotion_code } = req.body;
+    const userId = req.user.userId;
+
+    const client = await pool.connect(); // Order creation and clearing the cart happen in one transaction
+
+    try {
+        await client.query('BEGIN');
+
+        const { error: addressError, status: addressStatus, address } = await resolveShippingAddress(client, userId, {
+            addressId,
+            shippingAddress: shipping_address
+        });
+        if (addressError) {
+            await client.query('ROLLBACK');
+            return res.status(addressStatus).json({ message: addressError });
+        }
+
+        // Lock the cart rows so a concurrent add/remove can't change what gets ordered.
+        // Ordering by product_id keeps product row locks in a consistent order across checkouts.
+        const cartResult = await client.query(
+            "SELECT product_id, variant_id, quantity FROM cart_items WHERE user_id = $1 ORDER BY product_id, variant_id FOR UPDATE",
+            [userId]
+        );
+        if (cartResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Cart is empty.' });
+        }
+
+        const totals = await createOrderInTransaction(client, {
+            userId,
+            address,
+            items: cartResult.rows.map(row => ({ productId: row.product_id, variantId: row.variant_id, quantity: row.quantity })),
+            promotionCode: promotion_code
+        });
+
+        await client.query("DELETE FROM cart_items WHERE user_id = $1", [userId]);
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'Order created successfully', ...totals });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof OrderError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error instanceof PromotionError || error instanceof ShippingError) {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error instanceof InventoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error checking out cart:', error.message);
+        res.status(500).json({ message: 'Server error checking out cart.' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+// backend/routes/categoryRoutes.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { slugify, isSelfOrDescendant, buildCategoryTree } = require('../services/categoryTree');
+const { validate, idParam } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const categoryBody = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    slug: { type: 'string', maxLength: 100, nullable: true },
+    parent_id: { type: 'integer', min: 1, nullable: true },
+    sort_order: { type: 'integer' }
+};
+const createCategorySchema = { body: categoryBody };
+const updateCategorySchema = { params: { id: idParam }, body: categoryBody };
+const categoryIdSchema = { params: { id: idParam } };
+
+// 1. Get the Category tree with product counts (Publicly accessible)
+// product_count counts a category's own products, total_product_count includes its subcategories
+router.get('/', async (req, res) => {
+    try {
+        const categoriesResult = await pool.query(
+            `SELECT c.id, c.parent_id, c.name, c.slug, c.sort_order, COUNT(p.id) AS product_count
+             FROM categories c
+             LEFT JOIN products p ON p.category_id = c.id AND p.archived_at IS NULL
+             GROUP BY c.id`
+        );
+        res.json(buildCategoryTree(categoriesResult.rows));
+    } catch (error) {
+        console.error('Error fetching categories:', error.message);
+        res.status(500).json({ message: 'Server error fetching categories.' });
+    }
+});
+
+// 2. Get a single Category by id or slug, with its direct children (Publicly accessible)
+router.get('/:idOrSlug', async (req, res) => {
+    const { idOrSlug } = req.params;
+    try {
+        const categoryResult = await pool.query(
+            "SELECT * FROM categories WHERE id::text = $1 OR slug = $1",
+            [idOrSlug]
+        );
+        if (categoryResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+
+        const category = categoryResult.rows[0];
+        const childrenResult = await pool.query(
+            "SELECT id, name, slug, sort_order FROM categories WHERE parent_id = $1 ORDER BY sort_order ASC, name ASC",
+            [category.id]
+        );
+        res.json({ ...category, children: childrenResult.rows });
+    } catch (error) {
+        console.error('Error fetching category:', error.message);
+        res.status(500).json({ message: 'Server error fetching category.' });
+    }
+});
+
+// 3. Create a Category (requires categories:write)
+router.post('/', authenticateToken, requirePermission('categories:write'), validate(createCategorySchema), async (req, res) => {
+    const { name, parent_id = null, sort_order = 0 } = req.body;
+    const slug = slugify(req.body.slug || name);
+
+    if (!slug) {
+        return res.status(400).json({ message: 'Category name or slug must contain letters or digits.' });
+    }
+
+    try {
+        const newCategory = await pool.query(
+            "INSERT INTO categories (name, slug, parent_id, sort_order) VALUES ($1, $2, $3, $4) RETURNING *",
+            [name, slug, parent_id, sort_order]
+        );
+        res.status(201).json(newCategory.rows[0]);
+    } catch (error) {
+        console.error('Error creating category:', error.message);
+        if (error.code === '23505') { // PostgreSQL unique violation error code
+            return res.status(409).json({ message: `A category with slug "${slug}" already exists.` });
+        }
+        if (error.code === '23503') { // PostgreSQL foreign key violation error code
+            return res.status(400).json({ message: 'Parent category does not exist.' });
+        }
+        res.status(500).json({ message: 'Server error creating category.' });
+    }
+});
+
+// 4. Update a Category (requires categories:write)
+// Renaming also updates the category name stored on its products and spec attributes.
+router.put('/:id', authenticateToken, requirePermission('categories:write'), validate(updateCategorySchema), async (req, res) => {
+    const { id } = req.params;
+    const { name, parent_id = null, sort_order = 0 } = req.body;
+    const slug = slugify(req.body.slug || name);
+
+    if (!slug) {
+        return res.status(400).json({ message: 'Category name or slug must contain letters or digits.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query("SELECT name FROM categories WHERE id = $1 FOR UPDATE", [id]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+        // A category can't be moved under itself or one of its own subcategories
+        if (parent_id !== null && await isSelfOrDescendant(client, id, parent_id)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'A category cannot be moved under itself or one of its subcategories.' });
+        }
+
+        const updatedCategory = await client.query(
+            "UPDATE categories SET name = $1, slug = $2, parent_id = $3, sort_order = $4, updated_at = NOW() WHERE id = $5 RETURNING *",
+            [name, slug, parent_id, sort_order, id]
+        );
+
+        const oldName = existing.rows[0].name;
+        if (oldName !== name) {
+            await client.query("UPDATE products SET category = $1, updated_at = NOW() WHERE category_id = $2", [name, id]);
+            await client.query("UPDATE spec_attributes SET category = $1 WHERE category_id = $2", [name, id]);
+        }
+
+        await client.query('COMMIT');
+        res.json(updatedCategory.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating category:', error.message);
+        if (error.code === '23505') {
+            return res.status(409).json({ message: `A category with slug "${slug}" already exists.` });
+        }
+        if (error.code === '23503') {
+            return res.status(400).json({ message: 'Parent category does not exist.' });
+        }
+        res.status(500).json({ message: 'Server error updating category.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 5. Delete a Category (requires categories:write) - refused while it still has products or subcategories
+router.delete('/:id', authenticateToken, requirePermission('categories:write'), validate(categoryIdSchema), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const usage = await pool.query(
+            `SELECT (SELECT COUNT(*) FROM products WHERE category_id = $1) AS product_count,
+                    (SELECT COUNT(*) FROM categories WHERE parent_id = $1) AS child_count`,
+            [id]
+        );
+        const { product_count, child_count } = usage.rows[0];
+        if (parseInt(product_count) > 0 || parseInt(child_count) > 0) {
+            return res.status(400).json({
+                message: `Cannot delete category: it still has ${product_count} product(s) and ${child_count} subcategory(ies).`
+            });
+        }
+
+        const deleteOp = await pool.query("DELETE FROM categories WHERE id = $1 RETURNING *", [id]);
+        if (deleteOp.rowCount === 0) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+        res.status(200).json({ message: `Category with id ${id} deleted successfully.` });
+    } catch (error) {
+        console.error('Error deleting category:', error.message);
+        if (error.code === '23503') { // A product or subcategory was added concurrently
+            return res.status(400).json({ message: 'Cannot delete category because it is still in use.' });
+        }
+        res.status(500).json({ message: 'Server error deleting category.' });
+    }
+});
+
+module.exports = router;
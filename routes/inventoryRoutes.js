@@ -0,0 +1,219 @@
+// backend/routes/inventoryRoutes.js
+// Inventory ledger, stock receiving/adjustments and low-stock alerts, mounted at /api/admin/inventory
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const {
+    STOCK_MOVEMENT_REASONS,
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    InventoryError,
+    changeStock
+} = require('../services/inventoryService');
+const { queueBackInStockNotifications, emailBackInStockNotifications } = require('../services/stockNotificationService');
+const { validate, idParam, paginationQuery } = require('../middleware/validate');
+
+// Reasons an admin can record by hand; sales and cancellations only come from orders
+const MANUAL_ADJUSTMENT_REASONS = ['adjustment', 'return'];
+
+// Request schemas (see middleware/validate.js)
+const listMovementsSchema = {
+    query: {
+        productId: { type: 'integer', min: 1 },
+        variantId: { type: 'integer', min: 1 },
+        reason: { type: 'string', enum: STOCK_MOVEMENT_REASONS },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        ...paginationQuery
+    }
+};
+const stockTargetRules = {
+    productId: { type: 'integer', required: true, min: 1 },
+    variantId: { type: 'integer', min: 1, nullable: true }
+};
+const receiveStockSchema = {
+    body: {
+        ...stockTargetRules,
+        quantity: { type: 'integer', required: true, min: 1 },
+        note: { type: 'string', maxLength: 500, nullable: true }
+    }
+};
+const adjustStockSchema = {
+    body: {
+        ...stockTargetRules,
+        change: { type: 'integer', required: true },
+        reason: { type: 'string', enum: MANUAL_ADJUSTMENT_REASONS },
+        note: { type: 'string', required: true, minLength: 1, maxLength: 500 }
+    }
+};
+const thresholdSchema = {
+    params: { id: idParam },
+    body: { low_stock_threshold: { type: 'integer', required: true, nullable: true, min: 0 } }
+};
+
+// Apply a manual stock change in a transaction, notifying back-in-stock subscribers when stock comes back from zero.
+// Responds with the recorded movement's new stock level.
+const applyManualChange = async (req, res, { productId, variantId, change, reason, note }) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const quantityAfter = await changeStock(client, {
+            productId,
+            variantId: variantId || null,
+            change,
+            reason,
+            userId: req.user.userId,
+            note
+        });
+        let notifiedSubscribers = [];
+        if (quantityAfter - change <= 0 && quantityAfter > 0) {
+            notifiedSubscribers = await queueBackInStockNotifications(client, { productId, senderId: req.user.userId });
+        }
+
+        await client.query('COMMIT');
+        await emailBackInStockNotifications(notifiedSubscribers);
+        res.status(201).json({ productId, variantId: variantId || null, change, reason, stock_quantity: quantityAfter });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof InventoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.code === '23514') { // PostgreSQL check violation, e.g. a stock_quantity >= 0 constraint
+            return res.status(400).json({ message: 'Stock cannot go below zero.' });
+        }
+        console.error('Error changing stock:', error.message);
+        res.status(500).json({ message: 'Server error changing stock.' });
+    } finally {
+        client.release();
+    }
+};
+
+// 1. List Stock Movements, newest first (requires inventory:read)
+// Query params: productId, variantId, reason, from, to (dates), limit (default 50, max 200), offset
+router.get('/movements', authenticateToken, requirePermission('inventory:read'), validate(listMovementsSchema), async (req, res) => {
+    const { productId, variantId, reason, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const conditions = [];
+    const values = [];
+    if (productId) {
+        values.push(productId);
+        conditions.push(`m.product_id = $${values.length}`);
+    }
+    if (variantId) {
+        values.push(variantId);
+        conditions.push(`m.variant_id = $${values.length}`);
+    }
+    if (reason) {
+        values.push(reason);
+        conditions.push(`m.reason = $${values.length}`);
+    }
+    if (from) {
+        values.push(from);
+        conditions.push(`m.created_at >= $${values.length}`);
+    }
+    if (to) {
+        values.push(to);
+        conditions.push(`m.created_at < $${values.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const movementsResult = await pool.query(
+            `SELECT m.*, p.name AS product_name, v.sku, u.username
+             FROM stock_movements m
+             JOIN products p ON m.product_id = p.id
+             LEFT JOIN product_variants v ON m.variant_id = v.id
+             LEFT JOIN users u ON m.user_id = u.id
+             ${where}
+             ORDER BY m.created_at DESC, m.id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM stock_movements m ${where}`, values);
+
+        res.json({
+            movements: movementsResult.rows,
+            total: parseInt(countResult.rows[0].total),
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error fetching stock movements:', error.message);
+        res.status(500).json({ message: 'Server error fetching stock movements.' });
+    }
+});
+
+// 2. Receive Stock from a supplier (requires inventory:write)
+// Body: { productId, variantId (optional), quantity, note (optional) }
+router.post('/receive', authenticateToken, requirePermission('inventory:write'), validate(receiveStockSchema), async (req, res) => {
+    const { productId, variantId, quantity, note = null } = req.body;
+
+    await applyManualChange(req, res, { productId, variantId, change: quantity, reason: 'restock', note });
+});
+
+// 3. Adjust Stock after a count, damage, shrinkage or a return outside of a refund (requires inventory:write)
+// Body: { productId, variantId (optional), change (non-zero integer, negative removes stock), reason (adjustment|return), note }
+router.post('/adjust', authenticateToken, requirePermission('inventory:write'), validate(adjustStockSchema), async (req, res) => {
+    const { productId, variantId, change, reason = 'adjustment', note } = req.body;
+
+    if (change === 0) {
+        return res.status(400).json({ message: 'Change must not be zero.' });
+    }
+
+    await applyManualChange(req, res, { productId, variantId, change, reason, note });
+});
+
+// 4. Low-stock Alerts (requires inventory:read)
+// Products (or their variants) whose stock is at or below the product's low_stock_threshold,
+// or the LOW_STOCK_THRESHOLD default when the product doesn't set one. Lowest stock first.
+router.get('/alerts', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const alertsResult = await pool.query(
+            `SELECT * FROM (
+                SELECT p.id AS product_id, NULL::integer AS variant_id, p.name, NULL AS sku, p.stock_quantity,
+                       COALESCE(p.low_stock_threshold, $1) AS low_stock_threshold
+                FROM products p
+                WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) AND p.archived_at IS NULL
+                UNION ALL
+                SELECT p.id, v.id, p.name, v.sku, v.stock_quantity, COALESCE(p.low_stock_threshold, $1)
+                FROM product_variants v
+                JOIN products p ON v.product_id = p.id
+                WHERE p.archived_at IS NULL
+             ) stock
+             WHERE stock_quantity <= low_stock_threshold
+             ORDER BY stock_quantity ASC, name ASC`,
+            [DEFAULT_LOW_STOCK_THRESHOLD]
+        );
+        res.json(alertsResult.rows);
+    } catch (error) {
+        console.error('Error fetching low-stock alerts:', error.message);
+        res.status(500).json({ message: 'Server error fetching low-stock alerts.' });
+    }
+});
+
+// 5. Set a Product's low-stock threshold (requires inventory:write)
+// Body: { low_stock_threshold } - a non-negative integer, or null to use the default
+router.put('/products/:id/threshold', authenticateToken, requirePermission('inventory:write'), validate(thresholdSchema), async (req, res) => {
+    const { id } = req.params;
+    const { low_stock_threshold } = req.body;
+
+    try {
+        const updatedProduct = await pool.query(
+            "UPDATE products SET low_stock_threshold = $1, updated_at = NOW() WHERE id = $2 RETURNING id, name, stock_quantity, low_stock_threshold",
+            [low_stock_threshold, id]
+        );
+        if (updatedProduct.rows.length === 0) {
+            return res.status(404).json({ message: 'Product not found.' });
+        }
+        res.json(updatedProduct.rows[0]);
+    } catch (error) {
+        console.error('Error setting low-stock threshold:', error.message);
+        res.status(500).json({ message: 'Server error setting low-stock threshold.' });
+    }
+});
+
+module.exports = router;
@@ -2,50 +2,75 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db'); // Import the database pool
-const { authenticateToken, isAdmin } = require('../middleware/authMiddleware'); // Import auth middleware
+const { authenticateToken } = require('../middleware/authMiddleware'); // Import auth middleware
+const { hasPermission } = require('../services/roleService');
+const { recordAudit } = require('../services/auditLog');
+const { validate, idParam } = require('../middleware/validate');
+const { byUser, rateLimit } = require('../middleware/rateLimit');
+
+// Request schemas (see middleware/validate.js)
+const sendMessageSchema = {
+    body: {
+        receiverId: { type: 'integer', min: 1, nullable: true },
+        subject: { type: 'string', maxLength: 255, nullable: true },
+        messageText: { type: 'string', required: true, minLength: 1, maxLength: 5000 }
+    }
+};
+const messageIdSchema = { params: { id: idParam } };
+
+// Rate limits on sending (see middleware/rateLimit.js): per account, and per IP against many accounts
+const sendMessageLimiter = rateLimit({ name: 'message-send', windowMs: 60 * 1000, max: 10, key: byUser, message: 'Too many messages sent. Please try again later.' });
+const sendMessageIpLimiter = rateLimit({ name: 'message-send-ip', windowMs: 60 * 1000, max: 30, message: 'Too many messages sent. Please try again later.' });
 
-// 1. Send a Message (Authenticated Users & Admin)
-router.post('/', authenticateToken, async (req, res) => {
+// 1. Send a Message (Authenticated Users & staff with messages:reply)
+router.post('/', authenticateToken, sendMessageIpLimiter, sendMessageLimiter, validate(sendMessageSchema), async (req, res) => {
     const { receiverId, subject, messageText } = req.body;
     const senderId = req.user.userId;
-    const senderRole = req.user.role;
-
-    // Basic validation
-    if (!messageText) {
-        return res.status(400).json({ message: 'Message text is required.' });
-    }
+    const isStaff = hasPermission(req.user, 'messages:reply');
 
     // Determine receiver behavior:
-    // If sender is a user and receiverId is not provided, assume message is for admin(s).
-    // If sender is admin, receiverId must be a specific user.
-    if (senderRole === 'user' && receiverId !== undefined && receiverId !== null) {
-        return res.status(400).json({ message: 'Users can only send general messages to admin, not specific users.' });
+    // If sender is a customer, receiverId is not provided and the message is for the support staff.
+    // If sender is staff answering messages, receiverId must be a specific user.
+    if (!isStaff && receiverId !== undefined && receiverId !== null) {
+        return res.status(400).json({ message: 'Users can only send general messages to support, not specific users.' });
     }
-    if (senderRole === 'admin' && (receiverId === undefined || receiverId === null)) {
-        return res.status(400).json({ message: 'Admins must specify a receiverId when sending messages.' });
+    if (isStaff && (receiverId === undefined || receiverId === null)) {
+        return res.status(400).json({ message: 'Staff must specify a receiverId when sending messages.' });
     }
 
+    const client = await pool.connect(); // Staff messages are audited together with the insert
+
     try {
-        const newMessage = await pool.query(
+        await client.query('BEGIN');
+        const newMessage = await client.query(
             "INSERT INTO messages (sender_id, receiver_id, subject, message_text) VALUES ($1, $2, $3, $4) RETURNING *",
             [senderId, receiverId, subject, messageText]
         );
+        if (isStaff) {
+            await recordAudit(client, req, { action: 'message.send', entityType: 'message', entityId: newMessage.rows[0].id, after: newMessage.rows[0] });
+        }
+        await client.query('COMMIT');
         res.status(201).json(newMessage.rows[0]);
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error sending message:', error.message);
+        if (error.code === '23503') { // PostgreSQL foreign key violation error code
+            return res.status(404).json({ message: 'Receiver not found.' });
+        }
         res.status(500).json({ message: 'Server error sending message.' });
+    } finally {
+        client.release();
     }
 });
 
 // 2. Get Messages for a User (Inbox/Sent - Authenticated User)
 router.get('/', authenticateToken, async (req, res) => {
     const userId = req.user.userId;
-    const userRole = req.user.role;
 
     try {
         let messagesResult;
-        if (userRole === 'admin') {
-            // Admin can see all messages (inbox and sent)
+        if (hasPermission(req.user, 'messages:read')) {
+            // Staff with messages:read can see all messages (inbox and sent)
             // Join with users table to get sender/receiver usernames
             messagesResult = await pool.query(
                 `SELECT m.id, m.sender_id, s.username AS sender_username, m.receiver_id, r.username AS receiver_username,
@@ -75,11 +100,10 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 });
 
-// 3. Get a Single Message by ID (Authenticated User - if sender/receiver, Admin - any)
-router.get('/:id', authenticateToken, async (req, res) => {
+// 3. Get a Single Message by ID (Authenticated User - if sender/receiver, messages:read - any)
+router.get('/:id', authenticateToken, validate(messageIdSchema), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
-    const userRole = req.user.role;
 
     try {
         const messageResult = await pool.query(
@@ -98,8 +122,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
         const message = messageResult.rows[0];
 
-        // Authorization: Admin can view any message, regular user can only view their own sent/received messages
-        if (userRole !== 'admin' && message.sender_id !== userId && message.receiver_id !== userId) {
+        // Authorization: messages:read can view any message, regular user can only view their own sent/received messages
+        if (!hasPermission(req.user, 'messages:read') && message.sender_id !== userId && message.receiver_id !== userId) {
             return res.status(403).json({ message: 'Access denied. You can only view your own messages.' });
         }
 
@@ -110,73 +134,94 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// 4. Mark Message as Read (Authenticated User - if receiver, Admin - any)
-router.patch('/:id/read', authenticateToken, async (req, res) => {
+// 4. Mark Message as Read (Authenticated User - if receiver, messages:reply - any)
+router.patch('/:id/read', authenticateToken, validate(messageIdSchema), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
-    const userRole = req.user.role;
+
+    const client = await pool.connect(); // Staff marking someone else's message is audited together with the update
 
     try {
+        await client.query('BEGIN');
+
         // First, fetch the message to check authorization
-        const messageResult = await pool.query("SELECT sender_id, receiver_id, is_read FROM messages WHERE id = $1", [id]);
+        const messageResult = await client.query("SELECT sender_id, receiver_id, is_read FROM messages WHERE id = $1 FOR UPDATE", [id]);
         if (messageResult.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ message: 'Message not found.' });
         }
         const message = messageResult.rows[0];
 
-        // Authorization: Admin can mark any message as read.
+        // Authorization: Staff answering messages can mark any message as read.
         // Regular user can mark messages as read ONLY IF they are the receiver.
-        if (userRole !== 'admin' && message.receiver_id !== userId) {
+        if (!hasPermission(req.user, 'messages:reply') && message.receiver_id !== userId) {
+            await client.query('ROLLBACK');
             return res.status(403).json({ message: 'Access denied. You can only mark messages sent to you as read.' });
         }
 
         if (message.is_read) {
+            await client.query('ROLLBACK');
             return res.status(200).json({ message: 'Message already marked as read.' });
         }
 
-        const updatedMessage = await pool.query(
+        const updatedMessage = await client.query(
             "UPDATE messages SET is_read = TRUE WHERE id = $1 RETURNING *",
             [id]
         );
+        if (message.receiver_id !== userId) {
+            await recordAudit(client, req, { action: 'message.mark_read', entityType: 'message', entityId: id, before: { is_read: false }, after: { is_read: true } });
+        }
 
+        await client.query('COMMIT');
         res.status(200).json(updatedMessage.rows[0]);
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error marking message as read:', error.message);
         res.status(500).json({ message: 'Server error marking message as read.' });
+    } finally {
+        client.release();
     }
 });
 
-// 5. Delete a Message (Admin only, or User can delete their own sent messages)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// 5. Delete a Message (messages:delete for any, or User can delete their own sent messages)
+router.delete('/:id', authenticateToken, validate(messageIdSchema), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
-    const userRole = req.user.role;
+
+    const client = await pool.connect(); // Staff deletions are audited together with the delete
 
     try {
+        await client.query('BEGIN');
+
         // Fetch the message to check authorization
-        const messageResult = await pool.query("SELECT sender_id, receiver_id FROM messages WHERE id = $1", [id]);
+        const messageResult = await client.query("SELECT sender_id, receiver_id FROM messages WHERE id = $1 FOR UPDATE", [id]);
         if (messageResult.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ message: 'Message not found.' });
         }
         const message = messageResult.rows[0];
 
-        // Authorization: Admin can delete any message.
+        // Authorization: messages:delete can delete any message.
         // Regular user can delete messages ONLY IF they are the sender.
-        if (userRole !== 'admin' && message.sender_id !== userId) {
+        if (!hasPermission(req.user, 'messages:delete') && message.sender_id !== userId) {
+            await client.query('ROLLBACK');
             return res.status(403).json({ message: 'Access denied. You can only delete messages you have sent.' });
         }
 
-        const deleteOp = await pool.query("DELETE FROM messages WHERE id = $1 RETURNING *", [id]);
-
-        if (deleteOp.rowCount === 0) {
-            return res.status(404).json({ message: "Message not found after checks." });
+        const deleteOp = await client.query("DELETE FROM messages WHERE id = $1 RETURNING *", [id]);
+        if (message.sender_id !== userId) {
+            await recordAudit(client, req, { action: 'message.delete', entityType: 'message', entityId: id, before: deleteOp.rows[0] });
         }
 
+        await client.query('COMMIT');
         res.status(200).json({ message: `Message with ID ${id} deleted successfully.` });
 
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error deleting message:', error.message);
-        res.status(500).json({ message: error.message || 'Server error deleting message.' });
+        res.status(500).json({ message: 'Server error deleting message.' });
+    } finally {
+        client.release();
     }
 });
 
@@ -2,13 +2,98 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db'); // Import the database pool
-const { authenticateToken, isAdmin } = require('../middleware/authMiddleware'); // Import auth middleware
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { hasPermission } = require('../services/roleService');
+const { recordAudit } = require('../services/auditLog');
+const stripe = require('../config/stripe'); // Shared Stripe client
+const { PaymentError, getOrCreatePaymentIntent } = require('../services/paymentService');
+const { OrderError, priceOrder, createOrderInTransaction } = require('../services/orderService');
+const {
+    OrderStatusError,
+    ORDER_STATUSES,
+    CUSTOMER_CANCELLABLE_STATUSES,
+    transitionOrderStatus,
+    cancelOrderForFailedPayment
+} = require('../services/orderLifecycle');
+const { REFUNDABLE_PAYMENT_STATUSES, RefundError, refundOrder } = require('../services/refundService');
+const { convertReservation } = require('../services/reservationService');
+const { PromotionError, releaseRedemption } = require('../services/promotionEngine');
+const { ShippingError } = require('../services/shippingCalculator');
+const { InventoryError } = require('../services/inventoryService');
+const { ADDRESS_SCHEMA, resolveShippingAddress } = require('../services/addressService');
+const { validate, idParam } = require('../middleware/validate');
+const { byUser, rateLimit } = require('../middleware/rateLimit');
+
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'];
+
+// Request schemas (see middleware/validate.js)
+const orderIdSchema = { params: { id: idParam } };
+const placeOrderSchema = {
+    body: {
+        shipping_address: ADDRESS_SCHEMA,
+        addressId: { type: 'integer', min: 1, nullable: true },
+        items: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            maxItems: 100,
+            items: {
+                type: 'object',
+                properties: {
+                    productId: { type: 'integer', required: true, min: 1 },
+                    variantId: { type: 'integer', min: 1, nullable: true },
+                    quantity: { type: 'integer', required: true, min: 1, max: 1000 }
+                }
+            }
+        },
+        promotion_code: { type: 'string', maxLength: 50, nullable: true }
+    }
+};
+const orderStatusSchema = {
+    params: { id: idParam },
+    body: {
+        status: { type: 'string', required: true, enum: ORDER_STATUSES },
+        reason: { type: 'string', maxLength: 500, nullable: true }
+    }
+};
+const paymentStatusSchema = {
+    params: { id: idParam },
+    body: { payment_status: { type: 'string', required: true, enum: PAYMENT_STATUSES } }
+};
+const cancelOrderSchema = {
+    params: { id: idParam },
+    body: { reason: { type: 'string', maxLength: 500, nullable: true } }
+};
+const refundSchema = {
+    params: { id: idParam },
+    body: {
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    orderItemId: { type: 'integer', required: true, min: 1 },
+                    quantity: { type: 'integer', required: true, min: 1 }
+                }
+            }
+        },
+        amount: { type: 'number', min: 0.01 },
+        reason: { type: 'string', maxLength: 500, nullable: true },
+        restock: { type: 'boolean' }
+    }
+};
+
+// Rate limit on creating orders (see middleware/rateLimit.js), shared with cart checkout (cartRoutes.js) through its name
+const orderCreationLimiter = rateLimit({ name: 'order-create', windowMs: 60 * 60 * 1000, max: 20, key: byUser, message: 'Too many orders placed. Please try again later.' });
 
 // Helper function to convert numeric strings to floats for order data
+const ORDER_AMOUNT_FIELDS = ['total_amount', 'subtotal', 'discount_amount', 'shipping_amount', 'tax_amount', 'amount_refunded'];
 const parseOrderNumerics = (order) => {
     if (order) {
-        if (typeof order.total_amount === 'string') {
-            order.total_amount = parseFloat(order.total_amount);
+        for (const field of ORDER_AMOUNT_FIELDS) {
+            if (typeof order[field] === 'string') {
+                order[field] = parseFloat(order[field]);
+            }
         }
         // If order has items, parse their price_at_purchase as well
         if (order.items && Array.isArray(order.items)) {
@@ -16,6 +101,9 @@ const parseOrderNumerics = (order) => {
                 if (typeof item.price_at_purchase === 'string') {
                     item.price_at_purchase = parseFloat(item.price_at_purchase);
                 }
+                if (typeof item.discount_amount === 'string') {
+                    item.discount_amount = parseFloat(item.discount_amount);
+                }
                 return item;
             });
         }
@@ -30,91 +118,64 @@ const parseOrdersNumerics = (orders) => {
 
 
 // 1. Create a new Order (Authenticated User)
-router.post('/', authenticateToken, async (req, res) => {
-    const { shipping_address, items } = req.body; // items is an array of { productId, quantity }
+router.post('/', authenticateToken, orderCreationLimiter, validate(placeOrderSchema), async (req, res) => {
+    const { shipping_address, addressId, items, promotion_code } = req.body; // items is an array of { productId, variantId (optional), quantity }
     const userId = req.user.userId; // Get user ID from authenticated token
 
-    // Basic validation
-    if (!shipping_address || !items || !Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({ message: 'Shipping address and at least one item are required.' });
-    }
-
     const client = await pool.connect(); // Get a client from the pool for transaction
 
     try {
         await client.query('BEGIN'); // Start transaction
 
-        let totalAmount = 0;
-        const orderItemsToInsert = [];
-
-        // Validate products, calculate total, and decrement stock within the transaction
-        for (const item of items) {
-            const productResult = await client.query("SELECT price, stock_quantity FROM products WHERE id = $1 FOR UPDATE", [item.productId]); // FOR UPDATE locks the row
-            if (productResult.rows.length === 0) {
-                throw new Error(`Product with ID ${item.productId} not found.`);
-            }
-
-            const product = productResult.rows[0];
-            // Ensure price and stock are parsed as numbers from DB strings
-            const productPrice = parseFloat(product.price);
-            const productStock = parseInt(product.stock_quantity);
-
-            if (productStock < item.quantity) {
-                throw new Error(`Not enough stock for product ID ${item.productId}. Available: ${productStock}, Requested: ${item.quantity}.`);
-            }
-
-            totalAmount += productPrice * item.quantity;
-
-            // Add item details to a temporary array for batch insertion later
-            orderItemsToInsert.push({
-                productId: item.productId,
-                quantity: item.quantity,
-                priceAtPurchase: productPrice // Use the parsed number
-            });
-
-            // Decrement stock in the database
-            const newStock = product.stock_quantity - item.quantity;
-            await client.query("UPDATE products SET stock_quantity = $1 WHERE id = $2", [newStock, item.productId]);
+        // A saved address (addressId) is copied into the order, so later address book edits don't change it
+        const { error: addressError, status: addressStatus, address } = await resolveShippingAddress(client, userId, {
+            addressId,
+            shippingAddress: shipping_address
+        });
+        if (addressError) {
+            await client.query('ROLLBACK');
+            return res.status(addressStatus).json({ message: addressError });
         }
 
-        // Create the order in the orders table
-        const newOrder = await client.query(
-            "INSERT INTO orders (user_id, total_amount, shipping_address, payment_status) VALUES ($1, $2, $3, 'pending') RETURNING id, order_date",
-            [userId, totalAmount, shipping_address]
-        );
-        const orderId = newOrder.rows[0].id;
-
-        // Insert each item into the order_items table
-        for (const orderItem of orderItemsToInsert) {
-             await client.query(
-                "INSERT INTO order_items (order_id, product_id, quantity, price_at_purchase) VALUES ($1, $2, $3, $4)",
-                [orderId, orderItem.productId, orderItem.quantity, orderItem.priceAtPurchase]
-            );
-        }
+        // Lock products, check and decrement stock, and insert the order with its items
+        const totals = await createOrderInTransaction(client, {
+            userId,
+            address,
+            items,
+            promotionCode: promotion_code
+        });
 
         await client.query('COMMIT'); // Commit the transaction
-        res.status(201).json({ message: 'Order created successfully', orderId: orderId, totalAmount: totalAmount });
+        res.status(201).json({ message: 'Order created successfully', ...totals });
 
     } catch (error) {
         await client.query('ROLLBACK'); // Rollback the transaction on any error
+        if (error instanceof OrderError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error instanceof PromotionError || error instanceof ShippingError) {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error instanceof InventoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error('Error creating order:', error.message);
-        res.status(500).json({ message: error.message || 'Server error creating order.' });
+        res.status(500).json({ message: 'Server error creating order.' });
     } finally {
         client.release(); // Release the client back to the pool
     }
 });
 
-// 2. Get Orders (Authenticated User for their own, Admin for all)
+// 2. Get Orders (Authenticated User for their own, orders:read for all)
 router.get('/', authenticateToken, async (req, res) => {
     const userId = req.user.userId;
-    const userRole = req.user.role;
 
     try {
         let ordersResult;
-        if (userRole === 'admin') {
-            // Admin can see all orders with associated username
+        if (hasPermission(req.user, 'orders:read')) {
+            // Staff can see all orders with associated username
             ordersResult = await pool.query(
-                `SELECT o.id, o.user_id, u.username, o.total_amount, o.status, o.payment_status, o.shipping_address, o.order_date
+                `SELECT o.id, o.user_id, u.username, o.total_amount, o.subtotal, o.discount_amount, o.shipping_amount, o.tax_amount, o.status, o.payment_status, o.shipping_address, o.order_date
                  FROM orders o
                  JOIN users u ON o.user_id = u.id
                  ORDER BY o.order_date DESC`
@@ -122,7 +183,7 @@ router.get('/', authenticateToken, async (req, res) => {
         } else {
             // Regular user sees only their own orders
             ordersResult = await pool.query(
-                `SELECT o.id, o.user_id, u.username, o.total_amount, o.status, o.payment_status, o.shipping_address, o.order_date
+                `SELECT o.id, o.user_id, u.username, o.total_amount, o.subtotal, o.discount_amount, o.shipping_amount, o.tax_amount, o.status, o.payment_status, o.shipping_address, o.order_date
                  FROM orders o
                  JOIN users u ON o.user_id = u.id
                  WHERE o.user_id = $1
@@ -137,11 +198,10 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 });
 
-// 3. Get Order Details by ID (Authenticated User for their own, Admin for any)
-router.get('/:id', authenticateToken, async (req, res) => {
+// 3. Get Order Details by ID (Authenticated User for their own, orders:read for any)
+router.get('/:id', authenticateToken, validate(orderIdSchema), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
-    const userRole = req.user.role;
 
     try {
         const orderResult = await pool.query("SELECT * FROM orders WHERE id = $1", [id]);
@@ -151,22 +211,34 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
         const order = orderResult.rows[0];
 
-        // Security check: User can only see their own order, unless they are an admin
-        if (userRole !== 'admin' && order.user_id !== userId) {
+        // Security check: User can only see their own order, unless they have orders:read
+        if (!hasPermission(req.user, 'orders:read') && order.user_id !== userId) {
             return res.status(403).json({ message: 'Access denied. You can only view your own orders.' });
         }
 
         // Fetch order items for the specific order
         const itemsResult = await pool.query(
-            `SELECT oi.quantity, oi.price_at_purchase, p.name, p.image_url
+            `SELECT oi.id, oi.quantity, oi.price_at_purchase, oi.discount_amount, p.name, COALESCE(v.image_url, p.image_url) AS image_url,
+                    oi.variant_id, v.sku, v.attributes
              FROM order_items oi
              JOIN products p ON oi.product_id = p.id
+             LEFT JOIN product_variants v ON oi.variant_id = v.id
              WHERE oi.order_id = $1`,
             [id]
         );
 
-        // Combine order and its items, parsing numeric values
-        const fullOrder = { ...order, items: itemsResult.rows };
+        // Fetch the status history, oldest first
+        const historyResult = await pool.query(
+            `SELECT h.from_status, h.to_status, h.reason, h.changed_at, h.changed_by, u.username AS changed_by_username
+             FROM order_status_history h
+             LEFT JOIN users u ON h.changed_by = u.id
+             WHERE h.order_id = $1
+             ORDER BY h.changed_at ASC, h.id ASC`,
+            [id]
+        );
+
+        // Combine order, its items and history, parsing numeric values
+        const fullOrder = { ...order, items: itemsResult.rows, status_history: historyResult.rows };
         res.json(parseOrderNumerics(fullOrder)); // Parse before sending
 
     } catch (error) {
@@ -175,68 +247,94 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// 4. Update Order Status (Admin only)
-router.patch('/:id/status', authenticateToken, isAdmin, async (req, res) => {
+// 4. Update Order Status (requires orders:update)
+// Only transitions allowed by the order state machine are accepted; cancelling restores stock.
+router.patch('/:id/status', authenticateToken, requirePermission('orders:update'), validate(orderStatusSchema), async (req, res) => {
     const { id } = req.params;
-    const { status } = req.body; // e.g., 'pending', 'processing', 'shipped', 'delivered', 'cancelled'
+    const { status, reason } = req.body; // e.g., 'processing', 'shipped', 'delivered', 'cancelled'
 
-    const allowedStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!status || !allowedStatuses.includes(status)) {
-        return res.status(400).json({ message: 'Invalid status provided.' });
-    }
+    const client = await pool.connect(); // Status change, history and stock restoration in one transaction
 
     try {
-        const updatedOrder = await pool.query(
-            "UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
-            [status, id]
-        );
-
-        if (updatedOrder.rows.length === 0) {
-            return res.status(404).json({ message: "Order not found." });
-        }
+        await client.query('BEGIN');
+        const before = await client.query("SELECT * FROM orders WHERE id = $1 FOR UPDATE", [id]);
+        const updatedOrder = await transitionOrderStatus(client, {
+            orderId: id,
+            toStatus: status,
+            changedBy: req.user.userId,
+            reason
+        });
+        await recordAudit(client, req, { action: 'order.status_update', entityType: 'order', entityId: id, before: before.rows[0], after: updatedOrder });
+        await client.query('COMMIT');
 
-        res.json(parseOrderNumerics(updatedOrder.rows[0])); // Parse before sending
+        res.json(parseOrderNumerics(updatedOrder)); // Parse before sending
 
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof OrderStatusError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error('Error updating order status:', error.message);
         res.status(500).json({ message: 'Server error updating order status.' });
+    } finally {
+        client.release();
     }
 });
 
-// 5. Update Order Payment Status (Admin only - or via webhook)
+// 5. Update Order Payment Status (requires payments:manage - or via webhook)
 // This endpoint is primarily for admin manual updates or could be called by a payment webhook simulator
-router.patch('/:id/payment-status', authenticateToken, isAdmin, async (req, res) => {
+router.patch('/:id/payment-status', authenticateToken, requirePermission('payments:manage'), validate(paymentStatusSchema), async (req, res) => {
     const { id } = req.params;
     const { payment_status } = req.body; // e.g., 'pending', 'completed', 'failed', 'refunded'
 
-    const allowedPaymentStatuses = ['pending', 'completed', 'failed', 'refunded'];
-    if (!payment_status || !allowedPaymentStatuses.includes(payment_status)) {
-        return res.status(400).json({ message: 'Invalid payment status provided.' });
-    }
+    const client = await pool.connect(); // A failed payment may also cancel the order and restore stock
 
     try {
-        const updatedOrder = await pool.query(
+        await client.query('BEGIN');
+
+        const before = await client.query("SELECT * FROM orders WHERE id = $1 FOR UPDATE", [id]);
+        if (before.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: "Order not found." });
+        }
+
+        let updatedOrder = await client.query(
             "UPDATE orders SET payment_status = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
             [payment_status, id]
         );
 
-        if (updatedOrder.rows.length === 0) {
-            return res.status(404).json({ message: "Order not found." });
+        if (payment_status === 'failed' && await cancelOrderForFailedPayment(client, id, req.user.userId)) {
+            updatedOrder = await client.query("SELECT * FROM orders WHERE id = $1", [id]);
+        }
+        // A paid order keeps its stock for good
+        if (payment_status === 'completed' && await convertReservation(client, id)) {
+            updatedOrder = await client.query("SELECT * FROM orders WHERE id = $1", [id]);
         }
+        await recordAudit(client, req, {
+            action: 'order.payment_status_update',
+            entityType: 'order',
+            entityId: id,
+            before: before.rows[0],
+            after: updatedOrder.rows[0]
+        });
 
+        await client.query('COMMIT');
         res.json(parseOrderNumerics(updatedOrder.rows[0])); // Parse before sending
 
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error updating order payment status:', error.message);
         res.status(500).json({ message: 'Server error updating order payment status.' });
+    } finally {
+        client.release();
     }
 });
 
-// 6. Delete Order (Admin can delete any, User can delete their own if cancelled)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// 6. Delete Order (orders:delete for any, User can delete their own if cancelled)
+// Pending and processing orders still hold stock and a reservation, so they have to be cancelled first.
+router.delete('/:id', authenticateToken, validate(orderIdSchema), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
-    const userRole = req.user.role;
 
     const client = await pool.connect(); // Use transaction for cascading delete
 
@@ -253,10 +351,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         const order = orderResult.rows[0];
 
         // Authorization logic
-        if (userRole === 'admin') {
-            // Admin can delete any order
-            console.log(`Admin (User ID: ${userId}) deleting Order ID: ${id}`);
-        } else {
+        const isStaffDelete = hasPermission(req.user, 'orders:delete');
+        if (!isStaffDelete) {
             // Regular user can only delete their own order if it's cancelled
             if (order.user_id !== userId) {
                 await client.query('ROLLBACK');
@@ -266,8 +362,14 @@ router.delete('/:id', authenticateToken, async (req, res) => {
                 await client.query('ROLLBACK');
                 return res.status(400).json({ message: 'Order can only be deleted if its status is "cancelled".' });
             }
-            console.log(`User (ID: ${userId}) deleting their cancelled Order ID: ${id}`);
         }
+        if (CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `Order is still ${order.status}. Cancel it first so its stock is returned.` });
+        }
+
+        // The redemption rows would go with the order; give the promotion use back first, as cancelling does
+        await releaseRedemption(client, id);
 
         // Delete order items first (though CASCADE should handle this, explicit is sometimes clearer)
         await client.query("DELETE FROM order_items WHERE order_id = $1", [id]);
@@ -279,6 +381,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             await client.query('ROLLBACK');
             return res.status(404).json({ message: "Order not found after checks." });
         }
+        // Staff with orders:delete can delete any order; that is recorded in the audit log
+        if (isStaffDelete) {
+            await recordAudit(client, req, { action: 'order.delete', entityType: 'order', entityId: id, before: deleteOp.rows[0] });
+        }
 
         await client.query('COMMIT');
         res.status(200).json({ message: `Order with ID ${id} and its items deleted successfully.` });
@@ -286,11 +392,259 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     } catch (error) {
         await client.query('ROLLBACK');
         console.error('Error deleting order:', error.message);
-        res.status(500).json({ message: error.message || 'Server error deleting order.' });
+        res.status(500).json({ message: 'Server error deleting order.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 7. Checkout: create (or re-use) a Stripe PaymentIntent for an order (Authenticated User for their own, payments:manage for any)
+router.post('/:id/checkout', authenticateToken, validate(orderIdSchema), async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const client = await pool.connect(); // Lock the order row so concurrent checkouts don't create two intents
+
+    try {
+        await client.query('BEGIN');
+
+        const orderResult = await client.query(
+            `SELECT id, user_id, total_amount, status, payment_status, stripe_payment_intent_id, reservation_status,
+                    reserved_until <= NOW() AS reservation_expired
+             FROM orders WHERE id = $1 FOR UPDATE`,
+            [id]
+        );
+        if (orderResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Order not found.' });
+        }
+
+        const order = orderResult.rows[0];
+
+        // Security check: User can only pay for their own order, unless they have payments:manage
+        if (!hasPermission(req.user, 'payments:manage') && order.user_id !== userId) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Access denied. You can only pay for your own orders.' });
+        }
+        if (['completed', 'refunded', 'partially_refunded'].includes(order.payment_status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Order payment is already ${order.payment_status}.` });
+        }
+        if (order.status === 'cancelled') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Cancelled orders cannot be paid.' });
+        }
+        if (order.reservation_status === 'active' && order.reservation_expired) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'The stock reservation for this order has expired. Please place the order again.' });
+        }
+
+        const paymentIntent = await getOrCreatePaymentIntent(stripe, order);
+
+        // Store the intent id so the Stripe webhook can match it back to this order
+        if (paymentIntent.id !== order.stripe_payment_intent_id) {
+            await client.query(
+                "UPDATE orders SET stripe_payment_intent_id = $1, payment_status = 'pending', updated_at = NOW() WHERE id = $2",
+                [paymentIntent.id, id]
+            );
+        }
+
+        await client.query('COMMIT');
+        res.json({
+            orderId: order.id,
+            paymentIntentId: paymentIntent.id,
+            clientSecret: paymentIntent.client_secret,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error creating checkout payment intent:', error.message);
+        res.status(500).json({ message: 'Server error creating payment.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 8. Cancel own Order (Authenticated User, while the order is still pending or processing)
+// A paid order is refunded in full through Stripe; the response then includes the refund.
+router.post('/:id/cancel', authenticateToken, validate(cancelOrderSchema), async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { reason } = req.body;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const orderResult = await client.query(
+            "SELECT user_id, payment_status, total_amount, amount_refunded FROM orders WHERE id = $1 FOR UPDATE",
+            [id]
+        );
+        if (orderResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Order not found.' });
+        }
+        const order = orderResult.rows[0];
+        if (order.user_id !== userId) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Access denied. You can only cancel your own orders.' });
+        }
+
+        let updatedOrder = await transitionOrderStatus(client, {
+            orderId: id,
+            toStatus: 'cancelled',
+            changedBy: userId,
+            reason: reason || 'Cancelled by customer',
+            allowedFrom: CUSTOMER_CANCELLABLE_STATUSES
+        });
+
+        // The cancellation already put the items back into stock, so the refund doesn't restock them again.
+        // Stripe is called last, so a failure rolls the cancellation back too.
+        let refund = null;
+        if (REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status) && parseFloat(order.amount_refunded) < parseFloat(order.total_amount)) {
+            refund = await refundOrder(client, stripe, {
+                orderId: id,
+                reason: reason || 'Order cancelled by customer',
+                restock: false,
+                createdBy: userId
+            });
+            const refundedOrder = await client.query("SELECT * FROM orders WHERE id = $1", [id]);
+            updatedOrder = refundedOrder.rows[0];
+        }
+
+        await client.query('COMMIT');
+        res.json({
+            ...parseOrderNumerics(updatedOrder), // Parse before sending
+            ...(refund ? { refund: { ...refund, amount: parseFloat(refund.amount) } } : {})
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof OrderStatusError || error instanceof RefundError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error cancelling order:', error.message);
+        res.status(500).json({ message: 'Server error cancelling order.' });
+    } finally {
+        client.release();
+    }
+});
+// 9. Refund an Order through Stripe (requires payments:manage)
+// Body: { items: [{ orderItemId, quantity }] } or { amount } for a partial refund; neither refunds the remaining balance.
+// Set restock: true to put refunded items back into stock.
+router.post('/:id/refunds', authenticateToken, requirePermission('payments:manage'), validate(refundSchema), async (req, res) => {
+    const { id } = req.params;
+    const { items, amount, reason, restock } = req.body;
+
+    const client = await pool.connect(); // Lock the order while refunding so two refunds can't exceed the total
+
+    try {
+        await client.query('BEGIN');
+        const refund = await refundOrder(client, stripe, {
+            orderId: id,
+            items,
+            amount,
+            reason,
+            restock,
+            createdBy: req.user.userId
+        });
+        await recordAudit(client, req, { action: 'order.refund', entityType: 'order', entityId: id, after: refund });
+        await client.query('COMMIT');
+
+        res.status(201).json({ ...refund, amount: parseFloat(refund.amount) });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof RefundError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error refunding order:', error.message);
+        res.status(500).json({ message: 'Server error refunding order.' });
     } finally {
         client.release();
     }
 });
 
+// 10. Get Refunds for an Order (Authenticated User for their own, orders:read for any)
+router.get('/:id/refunds', authenticateToken, validate(orderIdSchema), async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    try {
+        const orderResult = await pool.query("SELECT user_id FROM orders WHERE id = $1", [id]);
+        if (orderResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Order not found.' });
+        }
+        if (!hasPermission(req.user, 'orders:read') && orderResult.rows[0].user_id !== userId) {
+            return res.status(403).json({ message: 'Access denied. You can only view your own orders.' });
+        }
+
+        const refundsResult = await pool.query(
+            `SELECT r.id, r.stripe_refund_id, r.amount, r.status, r.reason, r.restocked, r.created_at,
+                    COALESCE(json_agg(json_build_object('order_item_id', ri.order_item_id, 'quantity', ri.quantity, 'amount', ri.amount))
+                             FILTER (WHERE ri.id IS NOT NULL), '[]') AS items
+             FROM refunds r
+             LEFT JOIN refund_items ri ON ri.refund_id = r.id
+             WHERE r.order_id = $1
+             GROUP BY r.id
+             ORDER BY r.created_at ASC`,
+            [id]
+        );
+        res.json(refundsResult.rows.map(refund => ({ ...refund, amount: parseFloat(refund.amount) })));
+    } catch (error) {
+        console.error('Error fetching refunds:', error.message);
+        res.status(500).json({ message: 'Server error fetching refunds.' });
+    }
+});
+
+// 11. Quote an Order: preview subtotal, discount, shipping, tax and total without placing it (Authenticated User)
+// Body: same as creating an order - { shipping_address or addressId, items, promotion_code (optional) }
+router.post('/quote', authenticateToken, validate(placeOrderSchema), async (req, res) => {
+    const { shipping_address, addressId, items, promotion_code } = req.body;
+
+    try {
+        const { error: addressError, status: addressStatus, address } = await resolveShippingAddress(pool, req.user.userId, {
+            addressId,
+            shippingAddress: shipping_address
+        });
+        if (addressError) {
+            return res.status(addressStatus).json({ message: addressError });
+        }
+
+        const quote = await priceOrder(pool, { userId: req.user.userId, items, address, promotionCode: promotion_code });
+        res.json({
+            items: quote.lines.map(line => ({
+                productId: line.productId,
+                variantId: line.variantId,
+                quantity: line.quantity,
+                unitPrice: line.priceAtPurchase,
+                discountAmount: line.discountAmount
+            })),
+            promotionCode: quote.promotion ? quote.promotion.code : null,
+            shippingZone: quote.shippingZone,
+            taxRate: quote.taxRate,
+            subtotal: quote.subtotal,
+            discountAmount: quote.discountAmount,
+            shippingAmount: quote.shippingAmount,
+            taxAmount: quote.taxAmount,
+            totalAmount: quote.totalAmount
+        });
+    } catch (error) {
+        if (error instanceof OrderError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error instanceof PromotionError || error instanceof ShippingError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error quoting order:', error.message);
+        res.status(500).json({ message: 'Server error quoting order.' });
+    }
+});
 
 module.exports = router;
@@ -2,7 +2,59 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db'); // Import the database pool
-const { authenticateToken, isAdmin } = require('../middleware/authMiddleware'); // Import auth middleware
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { parseProductListParams, buildProductListQuery, paginateRows } = require('../services/productSearch');
+const {
+    SpecValidationError,
+    loadProductSpecs,
+    setProductSpecs,
+    buildComparisonMatrix
+} = require('../services/productSpecs');
+const { CategoryError, resolveCategory } = require('../services/categoryTree');
+const { recordStockMovement } = require('../services/inventoryService');
+const { queueBackInStockNotifications, emailBackInStockNotifications } = require('../services/stockNotificationService');
+const {
+    IMPORT_MODES,
+    ProductImportError,
+    validateProduct,
+    importProducts,
+    exportProductsCsv
+} = require('../services/productCatalog');
+const { CsvParseError, parseCsvStream } = require('../services/csv');
+const { recordAudit } = require('../services/auditLog');
+const { validate, idParam, paginationQuery } = require('../middleware/validate');
+const variantRoutes = require('./variantRoutes');
+const reviewRoutes = require('./reviewRoutes');
+
+const MAX_COMPARE_PRODUCTS = 4;
+
+// Request schemas (see middleware/validate.js). The product list query is checked by parseProductListParams.
+const productBody = {
+    sku: { type: 'string', maxLength: 100, nullable: true },
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    description: { type: 'string', nullable: true },
+    price: { type: 'number', required: true, min: 0 },
+    category: { type: ['string', 'integer'] },
+    category_id: { type: ['integer', 'string'] },
+    stock_quantity: { type: 'integer', required: true, min: 0 },
+    image_url: { type: 'string', maxLength: 2048, nullable: true },
+    weight_kg: { type: 'number', min: 0, nullable: true }
+};
+const createProductSchema = {
+    body: { ...productBody, low_stock_threshold: { type: 'integer', min: 0, nullable: true } }
+};
+const productIdSchema = { params: { id: idParam } };
+const updateProductSchema = { ...productIdSchema, body: productBody };
+const compareProductsSchema = { query: { ids: { type: 'string', required: true } } };
+const listArchivedSchema = { query: paginationQuery };
+const importProductsSchema = {
+    query: {
+        dryRun: { type: 'boolean' },
+        mode: { type: 'string', enum: IMPORT_MODES },
+        batchSize: { type: 'integer', min: 1 }
+    }
+};
+const productSpecsSchema = { ...productIdSchema, body: { specs: { type: 'object', required: true } } };
 
 // Helper function to convert numeric strings to floats
 const parseProductNumerics = (product) => {
@@ -13,6 +65,13 @@ const parseProductNumerics = (product) => {
         if (typeof product.stock_quantity === 'string') { // Although INTEGER, sometimes can be string depending on driver/context
             product.stock_quantity = parseInt(product.stock_quantity);
         }
+        if (typeof product.weight_kg === 'string') { // Shipping weight, used by weight-based shipping rates
+            product.weight_kg = parseFloat(product.weight_kg);
+        }
+        if (typeof product.rating_average === 'string') { // NUMERIC average of published reviews
+            product.rating_average = parseFloat(product.rating_average);
+        }
+        delete product.search_vector; // Internal full-text search column, not part of the API
     }
     return product;
 };
@@ -23,35 +82,81 @@ const parseProductsNumerics = (products) => {
 };
 
 
-// 1. Create Product (Admin only)
-router.post('/', authenticateToken, isAdmin, async (req, res) => {
-    const { name, description, price, category, stock_quantity, image_url } = req.body;
+// 1. Create Product (requires products:write)
+router.post('/', authenticateToken, requirePermission('products:write'), validate(createProductSchema), async (req, res) => {
+    const { sku = null, name, description, price, category, category_id, stock_quantity, image_url, weight_kg = 0, low_stock_threshold = null } = req.body;
+    const categoryRef = category_id !== undefined ? category_id : category; // Category id, slug or name
 
-    // Basic validation
-    if (!name || !price || !category || stock_quantity === undefined || stock_quantity === null) {
-        return res.status(400).json({ message: 'Name, price, category, and stock quantity are required.' });
-    }
-    if (price < 0 || stock_quantity < 0) {
-        return res.status(400).json({ message: 'Price and stock quantity cannot be negative.' });
+    // Basic validation (the same rules apply to each row of the CSV import)
+    const validationError = validateProduct({ name, price, categoryRef, stock_quantity, weight_kg, low_stock_threshold });
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
     }
 
+    const client = await pool.connect(); // Product and its opening stock movement are created together
+
     try {
-        const newProduct = await pool.query(
-            "INSERT INTO products (name, description, price, category, stock_quantity, image_url) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-            [name, description, price, category, stock_quantity, image_url]
+        await client.query('BEGIN');
+
+        const productCategory = await resolveCategory(client, categoryRef);
+        if (!productCategory) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Category "${categoryRef}" does not exist.` });
+        }
+
+        const newProduct = await client.query(
+            "INSERT INTO products (sku, name, description, price, category, category_id, stock_quantity, image_url, weight_kg, low_stock_threshold) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *",
+            [sku, name, description, price, productCategory.name, productCategory.id, stock_quantity, image_url, weight_kg, low_stock_threshold]
         );
+        await recordStockMovement(client, {
+            productId: newProduct.rows[0].id,
+            change: Number(stock_quantity),
+            quantityAfter: Number(stock_quantity),
+            reason: 'restock',
+            userId: req.user.userId,
+            note: 'Initial stock'
+        });
+        await recordAudit(client, req, { action: 'product.create', entityType: 'product', entityId: newProduct.rows[0].id, after: newProduct.rows[0] });
+
+        await client.query('COMMIT');
         res.status(201).json(parseProductNumerics(newProduct.rows[0])); // Parse before sending
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof CategoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.code === '23505') { // PostgreSQL unique violation
+            return res.status(409).json({ message: 'A product with this SKU already exists.' });
+        }
         console.error('Error creating product:', error.message);
         res.status(500).json({ message: 'Server error creating product.' });
+    } finally {
+        client.release();
     }
 });
 
-// 2. Get all Products (Publicly accessible)
+// 2. Get Products with search, filters, sorting and cursor pagination (Publicly accessible)
+// Query params: q, category (id, slug or name; includes subcategories), minPrice, maxPrice, inStock, sort (newest|price_asc|price_desc|relevance), limit, cursor
+// Spec filters: spec.<key>=min..max for numbers, spec.<key>=true|false, spec.<key>=<text>
 router.get('/', async (req, res) => {
+    const { error, params } = parseProductListParams(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
     try {
-        const allProducts = await pool.query("SELECT * FROM products ORDER BY created_at DESC");
-        res.json(parseProductsNumerics(allProducts.rows)); // Parse before sending
+        const { listQuery, countQuery } = buildProductListQuery(params);
+        const [listResult, countResult] = await Promise.all([
+            pool.query(listQuery.text, listQuery.values),
+            pool.query(countQuery.text, countQuery.values)
+        ]);
+
+        const { products, nextCursor } = paginateRows(listResult.rows, params.limit, params.sort);
+        res.json({
+            products: parseProductsNumerics(products), // Parse before sending
+            total: parseInt(countResult.rows[0].total),
+            nextCursor
+        });
     }
     catch (error) {
         console.error('Error fetching all products:', error.message);
@@ -59,69 +164,354 @@ router.get('/', async (req, res) => {
     }
 });
 
-// 3. Get a single product by ID (Publicly accessible)
-router.get('/:id', async (req, res) => {
+// 3. Compare Products side by side (Publicly accessible)
+// GET /api/products/compare?ids=1,2,3 - declared before /:id so "compare" isn't treated as an id
+router.get('/compare', validate(compareProductsSchema), async (req, res) => {
+    const ids = String(req.query.ids || '')
+        .split(',')
+        .filter(id => id.trim() !== '')
+        .map(id => Number(id));
+
+    if (ids.length < 2 || ids.length > MAX_COMPARE_PRODUCTS || !ids.every(Number.isInteger) || new Set(ids).size !== ids.length) {
+        return res.status(400).json({ message: `Provide between 2 and ${MAX_COMPARE_PRODUCTS} distinct product ids, e.g. ?ids=1,2.` });
+    }
+
+    try {
+        const productsResult = await pool.query(
+            "SELECT id, name, price, category, image_url, stock_quantity FROM products WHERE id = ANY($1::integer[]) AND archived_at IS NULL",
+            [ids]
+        );
+        if (productsResult.rows.length !== ids.length) {
+            const found = productsResult.rows.map(product => product.id);
+            return res.status(404).json({ message: `Products not found: ${ids.filter(id => !found.includes(id)).join(', ')}.` });
+        }
+
+        // Keep the products in the order they were requested so columns line up with ?ids=
+        const products = ids.map(id => parseProductNumerics(productsResult.rows.find(product => product.id === id)));
+        const specsByProduct = await loadProductSpecs(pool, ids);
+
+        res.json({
+            products,
+            specs: buildComparisonMatrix(products, specsByProduct)
+        });
+    } catch (error) {
+        console.error('Error comparing products:', error.message);
+        res.status(500).json({ message: 'Server error comparing products.' });
+    }
+});
+
+// 4. Get archived Products, most recently archived first (requires products:write)
+// Query: limit (default 50, max 200), offset. Declared before /:id so "archived" isn't treated as an id
+router.get('/archived', authenticateToken, requirePermission('products:write'), validate(listArchivedSchema), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    try {
+        const productsResult = await pool.query(
+            "SELECT * FROM products WHERE archived_at IS NOT NULL ORDER BY archived_at DESC, id DESC LIMIT $1 OFFSET $2",
+            [limit, offset]
+        );
+        const countResult = await pool.query("SELECT COUNT(*) AS total FROM products WHERE archived_at IS NOT NULL");
+
+        res.json({
+            products: parseProductsNumerics(productsResult.rows),
+            total: parseInt(countResult.rows[0].total),
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error fetching archived products:', error.message);
+        res.status(500).json({ message: 'Server error fetching archived products.' });
+    }
+});
+
+// 5. Export the catalog as CSV with current stock (requires products:write)
+// Columns: id, sku, name, description, price, category, stock_quantity, image_url, weight_kg, low_stock_threshold.
+// The file can be edited and imported again; the id column is ignored on import.
+router.get('/export', authenticateToken, requirePermission('products:write'), async (req, res) => {
+    try {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="products_${new Date().toISOString().slice(0, 10)}.csv"`);
+        await exportProductsCsv(pool, chunk => res.write(chunk));
+        res.end();
+    } catch (error) {
+        console.error('Error exporting products:', error.message);
+        if (res.headersSent) {
+            return res.destroy(); // Part of the file was already sent; cut it off rather than end it looking complete
+        }
+        res.status(500).json({ message: 'Server error exporting products.' });
+    }
+});
+
+// 6. Import products from CSV (requires products:write)
+// POST /api/products/import with Content-Type: text/csv and the file as the request body, read as a stream.
+// Header row with the export's columns (name, price, category and stock_quantity required); each row creates a
+// product, or updates the one with the same SKU (or, without a SKU, the same name).
+// Query params: dryRun=true validates and reports without saving; mode=transaction (default, all or nothing) or
+// mode=batch with batchSize (default 500, max 5000) to commit every batchSize rows, skipping the failing ones.
+router.post('/import', authenticateToken, requirePermission('products:write'), validate(importProductsSchema), async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    const mode = req.query.mode || 'transaction';
+    const batchSize = Math.min(parseInt(req.query.batchSize) || 500, 5000);
+
+    if (!req.is('text/csv')) {
+        return res.status(415).json({ message: 'Send the CSV file as the request body with Content-Type: text/csv.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        const summary = await importProducts(client, parseCsvStream(req), {
+            req, // Every imported row is audited on behalf of the caller
+            dryRun,
+            mode,
+            batchSize,
+            onCommit: emailBackInStockNotifications
+        });
+
+        // An all-or-nothing import with failing rows saved nothing
+        const status = mode === 'transaction' && !dryRun && summary.failed > 0 ? 400 : 200;
+        res.status(status).json({ dryRun, mode, ...summary });
+    } catch (error) {
+        if (error instanceof ProductImportError || error instanceof CsvParseError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error importing products:', error.message);
+        res.status(500).json({ message: 'Server error importing products.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 7. Get a single product by ID (Publicly accessible)
+router.get('/:id', validate(productIdSchema), async (req, res) => {
     const { id } = req.params;
     try {
-        const product = await pool.query("SELECT * FROM products WHERE id = $1", [id]);
+        const product = await pool.query("SELECT * FROM products WHERE id = $1 AND archived_at IS NULL", [id]);
 
         if (product.rows.length === 0) {
             return res.status(404).json({ message: "Product not found." });
         }
-        res.json(parseProductNumerics(product.rows[0])); // Parse before sending
+
+        // Include the product's variants (SKU, attributes, price override and stock)
+        const variants = await pool.query(
+            "SELECT id, sku, attributes, price, stock_quantity, image_url FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
+            [id]
+        );
+        const variantRows = variants.rows.map(variant => ({
+            ...variant,
+            price: variant.price === null ? null : parseFloat(variant.price)
+        }));
+        const specsByProduct = await loadProductSpecs(pool, [product.rows[0].id]);
+
+        res.json({
+            ...parseProductNumerics(product.rows[0]), // Parse before sending
+            variants: variantRows,
+            specs: specsByProduct.get(product.rows[0].id)
+        });
     } catch (error) {
         console.error('Error fetching single product:', error.message);
         res.status(500).json({ message: 'Server error fetching product.' });
     }
 });
 
-// 4. Update a product by ID (Admin only)
-router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
+// 8. Update a product by ID (requires products:write)
+// A changed stock_quantity is recorded as an 'adjustment' stock movement; raising it from zero notifies the
+// product's back-in-stock subscribers. Prefer /api/admin/inventory for receiving stock and corrections.
+router.put('/:id', authenticateToken, requirePermission('products:write'), validate(updateProductSchema), async (req, res) => {
     const { id } = req.params;
-    const { name, description, price, category, stock_quantity, image_url } = req.body;
+    const { sku = null, name, description, price, category, category_id, stock_quantity, image_url, weight_kg = null } = req.body; // sku and weight_kg omitted keep the current values
+    const categoryRef = category_id !== undefined ? category_id : category; // Category id, slug or name
 
-    // Basic validation
-    if (!name || !price || !category || stock_quantity === undefined || stock_quantity === null) {
-        return res.status(400).json({ message: 'Name, price, category, and stock quantity are required for update.' });
-    }
-    if (price < 0 || stock_quantity < 0) {
-        return res.status(400).json({ message: 'Price and stock quantity cannot be negative.' });
+    if (categoryRef === undefined || categoryRef === null || categoryRef === '') {
+        return res.status(400).json({ message: 'Category is required for update.' });
     }
 
+    const client = await pool.connect(); // Stock change and back-in-stock notifications happen together
+
     try {
-        const updatedProduct = await pool.query(
-            "UPDATE products SET name = $1, description = $2, price = $3, category = $4, stock_quantity = $5, image_url = $6, updated_at = NOW() WHERE id = $7 RETURNING *",
-            [name, description, price, category, stock_quantity, image_url, id]
-        );
+        await client.query('BEGIN');
 
-        if (updatedProduct.rows.length === 0) {
+        const productCategory = await resolveCategory(client, categoryRef);
+        if (!productCategory) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Category "${categoryRef}" does not exist.` });
+        }
+
+        const existing = await client.query("SELECT * FROM products WHERE id = $1 FOR UPDATE", [id]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ message: "Product not found." });
         }
+        // Like the CSV import: an archived product can't be ordered, so it isn't edited (or announced back in stock)
+        if (existing.rows[0].archived_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: "Product is archived; restore it first." });
+        }
+
+        const updatedProduct = await client.query(
+            "UPDATE products SET name = $1, description = $2, price = $3, category = $4, category_id = $5, stock_quantity = $6, image_url = $7, weight_kg = COALESCE($8, weight_kg), sku = COALESCE($9, sku), updated_at = NOW() WHERE id = $10 RETURNING *",
+            [name, description, price, productCategory.name, productCategory.id, stock_quantity, image_url, weight_kg, sku, id]
+        );
+
+        // Setting stock here is recorded in the ledger as an adjustment
+        const previousStock = parseInt(existing.rows[0].stock_quantity);
+        await recordStockMovement(client, {
+            productId: id,
+            change: Number(stock_quantity) - previousStock,
+            quantityAfter: Number(stock_quantity),
+            reason: 'adjustment',
+            userId: req.user.userId,
+            note: 'Product update'
+        });
+
+        // Back in stock: let the "notify me" subscribers know
+        let notifiedSubscribers = [];
+        if (previousStock <= 0 && stock_quantity > 0) {
+            notifiedSubscribers = await queueBackInStockNotifications(client, { productId: id, senderId: req.user.userId });
+        }
+        await recordAudit(client, req, { action: 'product.update', entityType: 'product', entityId: id, before: existing.rows[0], after: updatedProduct.rows[0] });
+
+        await client.query('COMMIT');
+        await emailBackInStockNotifications(notifiedSubscribers);
         res.json(parseProductNumerics(updatedProduct.rows[0])); // Parse before sending
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof CategoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.code === '23505') { // PostgreSQL unique violation
+            return res.status(409).json({ message: 'A product with this SKU already exists.' });
+        }
         console.error('Error updating product:', error.message);
         res.status(500).json({ message: 'Server error updating product.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 9. Archive a product by ID (requires products:write)
+// Archived products disappear from the catalog and can no longer be ordered, but past orders keep referencing
+// them. The product is taken out of every cart. Restore it with POST /api/products/:id/restore.
+router.delete('/:id', authenticateToken, requirePermission('products:write'), validate(productIdSchema), async (req, res) => {
+    const { id } = req.params;
+
+    const client = await pool.connect(); // Archiving, emptying carts and the audit entry happen together
+
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query("SELECT * FROM products WHERE id = $1 FOR UPDATE", [id]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: "Product not found." });
+        }
+        if (existing.rows[0].archived_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: "Product is already archived." });
+        }
+
+        const archivedProduct = await client.query(
+            "UPDATE products SET archived_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *",
+            [id]
+        );
+        await client.query("DELETE FROM cart_items WHERE product_id = $1", [id]);
+        await recordAudit(client, req, { action: 'product.archive', entityType: 'product', entityId: id, before: existing.rows[0], after: archivedProduct.rows[0] });
+
+        await client.query('COMMIT');
+        res.status(200).json({ message: `Product with id ${id} archived successfully.` });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error archiving product:', error.message);
+        res.status(500).json({ message: 'Server error archiving product.' });
+    } finally {
+        client.release();
     }
 });
 
-// 5. Delete a product by ID (Admin only)
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+// 10. Restore an archived product by ID (requires products:write)
+router.post('/:id/restore', authenticateToken, requirePermission('products:write'), validate(productIdSchema), async (req, res) => {
     const { id } = req.params;
+
+    const client = await pool.connect(); // The restore and its audit entry happen together
+
     try {
-        const deleteOp = await pool.query("DELETE FROM products WHERE id = $1 RETURNING *", [id]);
+        await client.query('BEGIN');
 
-        if (deleteOp.rowCount === 0) {
+        const existing = await client.query("SELECT * FROM products WHERE id = $1 FOR UPDATE", [id]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ message: "Product not found." });
         }
-        res.status(200).json({ message: `Product with id ${id} deleted successfully.` });
+        if (!existing.rows[0].archived_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: "Product is not archived." });
+        }
+
+        const restoredProduct = await client.query(
+            "UPDATE products SET archived_at = NULL, updated_at = NOW() WHERE id = $1 RETURNING *",
+            [id]
+        );
+        await recordAudit(client, req, { action: 'product.restore', entityType: 'product', entityId: id, before: existing.rows[0], after: restoredProduct.rows[0] });
+
+        await client.query('COMMIT');
+        res.json(parseProductNumerics(restoredProduct.rows[0])); // Parse before sending
     } catch (error) {
-        console.error('Error deleting product:', error.message);
-        // Check for foreign key constraint violation (e.g., product is part of an order)
-        if (error.code === '23503') { // PostgreSQL foreign key violation error code
-            return res.status(400).json({ message: "Cannot delete product because it is referenced in existing orders." });
+        await client.query('ROLLBACK');
+        console.error('Error restoring product:', error.message);
+        res.status(500).json({ message: 'Server error restoring product.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 11. Set the specifications of a product (requires products:write)
+// Body: { specs: { ram: 8, screen_size: 6.1, nfc: true } } - keys must be attributes of the product's category
+router.put('/:id/specs', authenticateToken, requirePermission('products:write'), validate(productSpecsSchema), async (req, res) => {
+    const { id } = req.params;
+    const { specs } = req.body;
+
+    const client = await pool.connect(); // Replace all specs atomically
+
+    try {
+        await client.query('BEGIN');
+
+        const productResult = await client.query("SELECT id, category_id FROM products WHERE id = $1 FOR UPDATE", [id]);
+        if (productResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: "Product not found." });
         }
-        res.status(500).json({ message: 'Server error deleting product.' });
+
+        const productId = productResult.rows[0].id;
+        const before = await loadProductSpecs(client, [productId]);
+        await setProductSpecs(client, productId, productResult.rows[0].category_id, specs);
+        const specsByProduct = await loadProductSpecs(client, [productId]);
+        await recordAudit(client, req, {
+            action: 'product.specs_update',
+            entityType: 'product',
+            entityId: productId,
+            before: before.get(productId),
+            after: specsByProduct.get(productId)
+        });
+        await client.query('COMMIT');
+
+        res.json(specsByProduct.get(productId));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof SpecValidationError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error updating product specs:', error.message);
+        res.status(500).json({ message: 'Server error updating product specs.' });
+    } finally {
+        client.release();
     }
 });
 
+// Product variants: /api/products/:id/variants
+router.use('/:id/variants', variantRoutes);
+
+// Product reviews: /api/products/:id/reviews
+router.use('/:id/reviews', reviewRoutes);
+
 module.exports = router;
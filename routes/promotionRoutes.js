@@ -0,0 +1,242 @@
+// backend/routes/promotionRoutes.js
+// Promotion / coupon code management, mounted at /api/promotions (requires promotions:manage)
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { PROMOTION_TYPES } = require('../services/promotionEngine');
+const { validate, idParam } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const promotionIdSchema = { params: { id: idParam } };
+const listPromotionsSchema = { query: { active: { type: 'boolean' } } };
+const promotionBody = {
+    code: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{3,50}$/, patternMessage: 'must be 3 to 50 letters, digits, dashes or underscores.' },
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 1000, nullable: true },
+    type: { type: 'string', required: true, enum: PROMOTION_TYPES },
+    value: { type: 'number', nullable: true },
+    buy_quantity: { type: 'integer', min: 1, nullable: true },
+    get_quantity: { type: 'integer', min: 1, nullable: true },
+    min_cart_value: { type: 'number', min: 0, nullable: true },
+    starts_at: { type: 'date', nullable: true },
+    ends_at: { type: 'date', nullable: true },
+    usage_limit: { type: 'integer', min: 1, nullable: true },
+    usage_limit_per_user: { type: 'integer', min: 1, nullable: true },
+    is_active: { type: 'boolean' },
+    product_ids: { type: 'array', items: { type: 'integer', min: 1 } },
+    category_ids: { type: 'array', items: { type: 'integer', min: 1 } }
+};
+const createPromotionSchema = { body: promotionBody };
+const updatePromotionSchema = { params: { id: idParam }, body: promotionBody };
+
+// Helper function for the rules that depend on the promotion type. Returns an error message or null.
+const validatePromotion = ({ type, value, buy_quantity, get_quantity, starts_at, ends_at }) => {
+    if (type === 'percentage' && (typeof value !== 'number' || value <= 0 || value > 100)) {
+        return 'A percentage promotion needs a value between 0 and 100.';
+    }
+    if (type === 'fixed_amount' && (typeof value !== 'number' || value <= 0)) {
+        return 'A fixed amount promotion needs a positive value.';
+    }
+    if (type === 'buy_x_get_y' && (!buy_quantity || !get_quantity)) {
+        return 'A buy X get Y promotion needs positive integer buy_quantity and get_quantity.';
+    }
+    if (starts_at && ends_at && new Date(starts_at) >= new Date(ends_at)) {
+        return 'ends_at must be after starts_at.';
+    }
+    return null;
+};
+
+// Helper function to convert numeric strings to floats for promotion data
+const parsePromotionNumerics = (promotion) => {
+    for (const field of ['value', 'min_cart_value']) {
+        if (typeof promotion[field] === 'string') {
+            promotion[field] = parseFloat(promotion[field]);
+        }
+    }
+    return promotion;
+};
+
+// Replace the product and category scope of a promotion
+const setPromotionScope = async (client, promotionId, { product_ids = [], category_ids = [] }) => {
+    await client.query("DELETE FROM promotion_products WHERE promotion_id = $1", [promotionId]);
+    await client.query("DELETE FROM promotion_categories WHERE promotion_id = $1", [promotionId]);
+    if (product_ids.length > 0) {
+        await client.query(
+            "INSERT INTO promotion_products (promotion_id, product_id) SELECT $1, UNNEST($2::int[]) ON CONFLICT DO NOTHING",
+            [promotionId, product_ids]
+        );
+    }
+    if (category_ids.length > 0) {
+        await client.query(
+            "INSERT INTO promotion_categories (promotion_id, category_id) SELECT $1, UNNEST($2::int[]) ON CONFLICT DO NOTHING",
+            [promotionId, category_ids]
+        );
+    }
+    return { product_ids, category_ids };
+};
+
+// Column values shared by create and update. Fields that don't apply to the type are stored as NULL.
+const promotionValues = (body) => [
+    body.code.toUpperCase(),
+    body.name,
+    body.description || null,
+    body.type,
+    ['percentage', 'fixed_amount'].includes(body.type) ? body.value : null,
+    body.type === 'buy_x_get_y' ? body.buy_quantity : null,
+    body.type === 'buy_x_get_y' ? body.get_quantity : null,
+    body.min_cart_value ?? null,
+    body.starts_at || null,
+    body.ends_at || null,
+    body.usage_limit ?? null,
+    body.usage_limit_per_user ?? null,
+    body.is_active ?? true
+];
+
+// 1. Get Promotions (requires promotions:manage)
+// Query params: active=true|false
+router.get('/', authenticateToken, requirePermission('promotions:manage'), validate(listPromotionsSchema), async (req, res) => {
+    const { active } = req.query;
+    try {
+        const promotionsResult = active === undefined
+            ? await pool.query("SELECT * FROM promotions ORDER BY created_at DESC")
+            : await pool.query("SELECT * FROM promotions WHERE is_active = $1 ORDER BY created_at DESC", [active === 'true']);
+        res.json(promotionsResult.rows.map(parsePromotionNumerics));
+    } catch (error) {
+        console.error('Error fetching promotions:', error.message);
+        res.status(500).json({ message: 'Server error fetching promotions.' });
+    }
+});
+
+// 2. Get a single Promotion with its scope and redemption count (requires promotions:manage)
+router.get('/:id', authenticateToken, requirePermission('promotions:manage'), validate(promotionIdSchema), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const promotionResult = await pool.query(
+            `SELECT p.*,
+                    ARRAY(SELECT product_id FROM promotion_products WHERE promotion_id = p.id) AS product_ids,
+                    ARRAY(SELECT category_id FROM promotion_categories WHERE promotion_id = p.id) AS category_ids,
+                    COALESCE((SELECT SUM(discount_amount) FROM promotion_redemptions WHERE promotion_id = p.id), 0) AS total_discount_given
+             FROM promotions p
+             WHERE p.id = $1`,
+            [id]
+        );
+        if (promotionResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Promotion not found.' });
+        }
+        const promotion = parsePromotionNumerics(promotionResult.rows[0]);
+        promotion.total_discount_given = parseFloat(promotion.total_discount_given);
+        res.json(promotion);
+    } catch (error) {
+        console.error('Error fetching promotion:', error.message);
+        res.status(500).json({ message: 'Server error fetching promotion.' });
+    }
+});
+
+// 3. Create a Promotion (requires promotions:manage)
+// Body: code, name, type, value / buy_quantity + get_quantity, and optionally description, min_cart_value,
+// starts_at, ends_at, usage_limit, usage_limit_per_user, is_active, product_ids, category_ids
+router.post('/', authenticateToken, requirePermission('promotions:manage'), validate(createPromotionSchema), async (req, res) => {
+    const validationError = validatePromotion(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    const client = await pool.connect(); // Promotion and its scope are created together
+
+    try {
+        await client.query('BEGIN');
+
+        const newPromotion = await client.query(
+            `INSERT INTO promotions (code, name, description, type, value, buy_quantity, get_quantity, min_cart_value,
+                                     starts_at, ends_at, usage_limit, usage_limit_per_user, is_active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             RETURNING *`,
+            promotionValues(req.body)
+        );
+        const promotion = newPromotion.rows[0];
+        const scope = await setPromotionScope(client, promotion.id, req.body);
+
+        await client.query('COMMIT');
+        res.status(201).json({ ...parsePromotionNumerics(promotion), ...scope });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating promotion:', error.message);
+        if (error.code === '23505') { // PostgreSQL unique violation error code
+            return res.status(409).json({ message: `Promotion code "${req.body.code.toUpperCase()}" already exists.` });
+        }
+        if (error.code === '23503') { // PostgreSQL foreign key violation error code
+            return res.status(400).json({ message: 'One or more products or categories do not exist.' });
+        }
+        res.status(500).json({ message: 'Server error creating promotion.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 4. Update a Promotion (requires promotions:manage) - replaces all fields and the scope
+// times_used is kept, so lowering usage_limit below it simply exhausts the code.
+router.put('/:id', authenticateToken, requirePermission('promotions:manage'), validate(updatePromotionSchema), async (req, res) => {
+    const { id } = req.params;
+
+    const validationError = validatePromotion(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const updatedPromotion = await client.query(
+            `UPDATE promotions
+             SET code = $1, name = $2, description = $3, type = $4, value = $5, buy_quantity = $6, get_quantity = $7,
+                 min_cart_value = $8, starts_at = $9, ends_at = $10, usage_limit = $11, usage_limit_per_user = $12,
+                 is_active = $13, updated_at = NOW()
+             WHERE id = $14
+             RETURNING *`,
+            [...promotionValues(req.body), id]
+        );
+        if (updatedPromotion.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Promotion not found.' });
+        }
+        const scope = await setPromotionScope(client, id, req.body);
+
+        await client.query('COMMIT');
+        res.json({ ...parsePromotionNumerics(updatedPromotion.rows[0]), ...scope });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating promotion:', error.message);
+        if (error.code === '23505') {
+            return res.status(409).json({ message: `Promotion code "${req.body.code.toUpperCase()}" already exists.` });
+        }
+        if (error.code === '23503') {
+            return res.status(400).json({ message: 'One or more products or categories do not exist.' });
+        }
+        res.status(500).json({ message: 'Server error updating promotion.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 5. Delete a Promotion (requires promotions:manage) - only while it has never been redeemed
+router.delete('/:id', authenticateToken, requirePermission('promotions:manage'), validate(promotionIdSchema), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deleteOp = await pool.query("DELETE FROM promotions WHERE id = $1 RETURNING id", [id]);
+        if (deleteOp.rowCount === 0) {
+            return res.status(404).json({ message: 'Promotion not found.' });
+        }
+        res.status(200).json({ message: `Promotion with ID ${id} deleted successfully.` });
+    } catch (error) {
+        console.error('Error deleting promotion:', error.message);
+        if (error.code === '23503') { // Redemptions reference it
+            return res.status(400).json({ message: 'Cannot delete a promotion that has been redeemed. Set is_active to false instead.' });
+        }
+        res.status(500).json({ message: 'Server error deleting promotion.' });
+    }
+});
+
+module.exports = router;
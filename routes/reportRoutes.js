@@ -0,0 +1,67 @@
+// backend/routes/reportRoutes.js
+// Sales analytics, mounted at /api/admin/reports
+// Every report takes from and to (YYYY-MM-DD, inclusive) and format=csv to download it instead of JSON.
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { REPORT_INTERVALS, REPORTS, parseReportParams } = require('../services/reportService');
+const { toCsv } = require('../services/csv');
+const { validate } = require('../middleware/validate');
+
+// Request schema (see middleware/validate.js); parseReportParams applies the defaults and range checks
+const reportQuerySchema = {
+    query: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        interval: { type: 'string', enum: REPORT_INTERVALS },
+        limit: { type: 'integer', min: 1 },
+        format: { type: 'string', enum: ['json', 'csv'] }
+    }
+};
+
+// Run a report and respond with JSON ({ report, from, to, interval, rows }) or, with format=csv, a CSV download
+const sendReport = async (req, res, reportName) => {
+    const { error, params } = parseReportParams(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const report = REPORTS[reportName];
+    try {
+        const rows = await report.run(pool, params);
+
+        if (req.query.format === 'csv') {
+            const range = `${params.from || 'start'}_${params.to || 'now'}`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${reportName}-report_${range}.csv"`);
+            return res.send(toCsv(rows, report.columns));
+        }
+        res.json({ report: reportName, from: params.from, to: params.to, interval: params.interval, rows });
+    } catch (err) {
+        console.error(`Error running ${reportName} report:`, err.message);
+        res.status(500).json({ message: 'Server error running report.' });
+    }
+};
+
+// 1. Sales: revenue, order count and average order value per period (requires reports:read)
+// Query params: from, to, interval (day|week|month, default day), format
+router.get('/sales', authenticateToken, requirePermission('reports:read'), validate(reportQuerySchema), (req, res) => sendReport(req, res, 'sales'));
+
+// 2. Top-selling Products by units sold (requires reports:read)
+// Query params: from, to, limit (default 10, max 100), format
+router.get('/top-products', authenticateToken, requirePermission('reports:read'), validate(reportQuerySchema), (req, res) => sendReport(req, res, 'top-products'));
+
+// 3. Top-selling Categories by revenue (requires reports:read)
+// Query params: from, to, limit (default 10, max 100), format
+router.get('/top-categories', authenticateToken, requirePermission('reports:read'), validate(reportQuerySchema), (req, res) => sendReport(req, res, 'top-categories'));
+
+// 4. New versus Returning Customers per period (requires reports:read)
+// Query params: from, to, interval, format
+router.get('/customers', authenticateToken, requirePermission('reports:read'), validate(reportQuerySchema), (req, res) => sendReport(req, res, 'customers'));
+
+// 5. Refund Rate per period (requires reports:read)
+// Query params: from, to, interval, format
+router.get('/refunds', authenticateToken, requirePermission('reports:read'), validate(reportQuerySchema), (req, res) => sendReport(req, res, 'refunds'));
+
+module.exports = router;
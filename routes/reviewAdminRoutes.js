@@ -0,0 +1,98 @@
+// backend/routes/reviewAdminRoutes.js
+// Review moderation, mounted at /api/admin/reviews
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { REVIEW_STATUSES, refreshProductRating } = require('../services/reviewService');
+const { validate, idParam, paginationQuery } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const listReviewsSchema = {
+    query: {
+        status: { type: 'string', enum: REVIEW_STATUSES },
+        productId: { type: 'integer', min: 1 },
+        ...paginationQuery
+    }
+};
+const moderateReviewSchema = {
+    params: { id: idParam },
+    body: {
+        status: { type: 'string', required: true, enum: REVIEW_STATUSES },
+        note: { type: 'string', maxLength: 1000, nullable: true }
+    }
+};
+
+// 1. List Reviews across all products (requires reviews:moderate)
+// Query params: status (published|hidden|flagged), productId, limit (default 50, max 200), offset
+router.get('/', authenticateToken, requirePermission('reviews:moderate'), validate(listReviewsSchema), async (req, res) => {
+    const { status, productId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const conditions = [];
+    const values = [];
+    if (status) {
+        values.push(status);
+        conditions.push(`r.status = $${values.length}`);
+    }
+    if (productId) {
+        values.push(productId);
+        conditions.push(`r.product_id = $${values.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const reviewsResult = await pool.query(
+            `SELECT r.*, u.username, p.name AS product_name
+             FROM product_reviews r
+             JOIN users u ON r.user_id = u.id
+             JOIN products p ON r.product_id = p.id
+             ${where}
+             ORDER BY r.created_at DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+        res.json(reviewsResult.rows);
+    } catch (error) {
+        console.error('Error fetching reviews for moderation:', error.message);
+        res.status(500).json({ message: 'Server error fetching reviews.' });
+    }
+});
+
+// 2. Moderate a Review: publish, hide or flag it (requires reviews:moderate)
+// Hidden and flagged reviews are not shown publicly and don't count towards the product rating.
+router.patch('/:id', authenticateToken, requirePermission('reviews:moderate'), validate(moderateReviewSchema), async (req, res) => {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const updatedReview = await client.query(
+            `UPDATE product_reviews
+             SET status = $1, moderation_note = $2, moderated_by = $3, updated_at = NOW()
+             WHERE id = $4
+             RETURNING *`,
+            [status, note, req.user.userId, id]
+        );
+        if (updatedReview.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Review not found.' });
+        }
+        await refreshProductRating(client, updatedReview.rows[0].product_id);
+
+        await client.query('COMMIT');
+        res.json(updatedReview.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error moderating review:', error.message);
+        res.status(500).json({ message: 'Server error moderating review.' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+// backend/routes/reviewRoutes.js
+// Mounted under /api/products/:id/reviews by productRoutes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // mergeParams exposes the product :id
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken } = require('../middleware/authMiddleware'); // Import auth middleware
+const { hasPermission } = require('../services/roleService');
+const { recordAudit } = require('../services/auditLog');
+const { hasDeliveredPurchase, refreshProductRating } = require('../services/reviewService');
+const { validate, idParam, paginationQuery } = require('../middleware/validate');
+const { byUser, rateLimit } = require('../middleware/rateLimit');
+
+const REVIEW_SORTS = {
+    newest: 'r.created_at DESC, r.id DESC',
+    helpful: 'r.helpful_count DESC, r.created_at DESC',
+    rating_desc: 'r.rating DESC, r.created_at DESC',
+    rating_asc: 'r.rating ASC, r.created_at DESC'
+};
+
+// Request schemas (see middleware/validate.js)
+const listReviewsSchema = {
+    params: { id: idParam },
+    query: { sort: { type: 'string', enum: Object.keys(REVIEW_SORTS) }, ...paginationQuery }
+};
+const postReviewSchema = {
+    params: { id: idParam },
+    body: {
+        rating: { type: 'integer', required: true, min: 1, max: 5 },
+        title: { type: 'string', maxLength: 200, nullable: true },
+        body: { type: 'string', maxLength: 5000, nullable: true }
+    }
+};
+const reviewIdSchema = { params: { id: idParam, reviewId: idParam } };
+
+// Rate limit on posting reviews (see middleware/rateLimit.js)
+const postReviewLimiter = rateLimit({ name: 'review-post', windowMs: 60 * 60 * 1000, max: 10, key: byUser });
+
+// 1. Get published Reviews of a Product (Publicly accessible)
+// Query params: sort (newest|helpful|rating_desc|rating_asc), limit (default 20, max 100), offset
+router.get('/', validate(listReviewsSchema), async (req, res) => {
+    const { id } = req.params;
+    const sort = req.query.sort || 'newest';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    try {
+        const productResult = await pool.query("SELECT rating_average, rating_count FROM products WHERE id = $1", [id]);
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ message: "Product not found." });
+        }
+
+        const reviewsResult = await pool.query(
+            `SELECT r.id, r.user_id, u.username, r.rating, r.title, r.body, r.helpful_count, r.created_at, r.updated_at
+             FROM product_reviews r
+             JOIN users u ON r.user_id = u.id
+             WHERE r.product_id = $1 AND r.status = 'published'
+             ORDER BY ${REVIEW_SORTS[sort]}
+             LIMIT $2 OFFSET $3`,
+            [id, limit, offset]
+        );
+
+        const { rating_average, rating_count } = productResult.rows[0];
+        res.json({
+            rating_average: rating_average === null ? null : parseFloat(rating_average),
+            rating_count,
+            reviews: reviewsResult.rows
+        });
+    } catch (error) {
+        console.error('Error fetching reviews:', error.message);
+        res.status(500).json({ message: 'Server error fetching reviews.' });
+    }
+});
+
+// 2. Post a Review (Authenticated User with a delivered order containing the product, once per product)
+router.post('/', authenticateToken, postReviewLimiter, validate(postReviewSchema), async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { rating, title, body } = req.body;
+
+    const client = await pool.connect(); // Insert the review and refresh the product rating together
+
+    try {
+        await client.query('BEGIN');
+
+        if (!await hasDeliveredPurchase(client, userId, id)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'You can only review products from your delivered orders.' });
+        }
+
+        const newReview = await client.query(
+            "INSERT INTO product_reviews (product_id, user_id, rating, title, body) VALUES ($1, $2, $3, $4, $5) RETURNING *",
+            [id, userId, rating, title, body]
+        );
+        await refreshProductRating(client, id);
+
+        await client.query('COMMIT');
+        res.status(201).json(newReview.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') { // PostgreSQL unique violation error code
+            return res.status(409).json({ message: 'You have already reviewed this product.' });
+        }
+        console.error('Error posting review:', error.message);
+        res.status(500).json({ message: 'Server error posting review.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 3. Delete a Review (reviews:moderate can delete any, User can delete their own)
+router.delete('/:reviewId', authenticateToken, validate(reviewIdSchema), async (req, res) => {
+    const { id, reviewId } = req.params;
+    const userId = req.user.userId;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const reviewResult = await client.query(
+            "SELECT * FROM product_reviews WHERE id = $1 AND product_id = $2 FOR UPDATE",
+            [reviewId, id]
+        );
+        if (reviewResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Review not found.' });
+        }
+        if (!hasPermission(req.user, 'reviews:moderate') && reviewResult.rows[0].user_id !== userId) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Access denied. You can only delete your own reviews.' });
+        }
+
+        await client.query("DELETE FROM product_reviews WHERE id = $1", [reviewId]);
+        await refreshProductRating(client, id);
+        // A moderator removing someone else's review is recorded in the audit log
+        if (reviewResult.rows[0].user_id !== userId) {
+            await recordAudit(client, req, { action: 'review.delete', entityType: 'product_review', entityId: reviewId, before: reviewResult.rows[0] });
+        }
+
+        await client.query('COMMIT');
+        res.status(200).json({ message: `Review with ID ${reviewId} deleted successfully.` });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting review:', error.message);
+        res.status(500).json({ message: 'Server error deleting review.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 4. Mark a Review as helpful (Authenticated User, once per review, not on their own review)
+router.post('/:reviewId/helpful', authenticateToken, validate(reviewIdSchema), async (req, res) => {
+    const { id, reviewId } = req.params;
+    const userId = req.user.userId;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const reviewResult = await client.query(
+            "SELECT user_id FROM product_reviews WHERE id = $1 AND product_id = $2 AND status = 'published'",
+            [reviewId, id]
+        );
+        if (reviewResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Review not found.' });
+        }
+        if (reviewResult.rows[0].user_id === userId) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'You cannot mark your own review as helpful.' });
+        }
+
+        const vote = await client.query(
+            "INSERT INTO review_helpful_votes (review_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING review_id",
+            [reviewId, userId]
+        );
+        if (vote.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: 'You have already marked this review as helpful.' });
+        }
+
+        const updatedReview = await client.query(
+            "UPDATE product_reviews SET helpful_count = helpful_count + 1 WHERE id = $1 RETURNING id, helpful_count",
+            [reviewId]
+        );
+
+        await client.query('COMMIT');
+        res.json(updatedReview.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error marking review as helpful:', error.message);
+        res.status(500).json({ message: 'Server error marking review as helpful.' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
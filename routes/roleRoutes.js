@@ -0,0 +1,240 @@
+// backend/routes/roleRoutes.js
+// Roles, their permissions and role assignments, mounted at /api/admin/roles (requires roles:manage)
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    ADMIN_ROLE,
+    RoleError,
+    assertCanGrant,
+    assignRole
+} = require('../services/roleService');
+const { recordAudit } = require('../services/auditLog');
+const { validate, idParam } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const roleNameRule = { type: 'string', required: true, pattern: /^[a-z][a-z0-9_]{1,49}$/, patternMessage: 'must be 2 to 50 lowercase letters, digits or underscores, starting with a letter.' };
+const roleBody = {
+    description: { type: 'string', maxLength: 255, nullable: true },
+    permissions: { type: 'array', required: true, items: { type: 'string', enum: ALL_PERMISSIONS } }
+};
+const roleNameSchema = { params: { name: roleNameRule } };
+const createRoleSchema = { body: { name: roleNameRule, ...roleBody } };
+const updateRoleSchema = { params: { name: roleNameRule }, body: roleBody };
+const assignRoleSchema = { params: { userId: idParam }, body: { role: roleNameRule } };
+
+// SELECT of roles with their permissions and how many users have them
+const ROLE_SELECT = `
+    SELECT r.name, r.description, r.is_system, r.created_at, r.updated_at,
+           ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = r.name ORDER BY rp.permission) AS permissions,
+           (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::integer AS user_count
+    FROM roles r`;
+
+// The admin role always has every permission, whatever role_permissions says
+const withEffectivePermissions = (role) => (role.name === ADMIN_ROLE ? { ...role, permissions: ALL_PERMISSIONS } : role);
+
+// Replace the permissions of a role inside an open transaction
+const setRolePermissions = async (client, role, permissions) => {
+    await client.query("DELETE FROM role_permissions WHERE role = $1", [role]);
+    if (permissions.length > 0) {
+        await client.query(
+            "INSERT INTO role_permissions (role, permission) SELECT $1, UNNEST($2::text[]) ON CONFLICT DO NOTHING",
+            [role, permissions]
+        );
+    }
+};
+
+// 1. Get all Roles with their permissions and user counts (requires roles:manage)
+router.get('/', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const rolesResult = await pool.query(`${ROLE_SELECT} ORDER BY r.is_system DESC, r.name ASC`);
+        res.json(rolesResult.rows.map(withEffectivePermissions));
+    } catch (error) {
+        console.error('Error fetching roles:', error.message);
+        res.status(500).json({ message: 'Server error fetching roles.' });
+    }
+});
+
+// 2. Get every Permission a role can grant (requires roles:manage)
+// Declared before /:name so "permissions" isn't treated as a role name
+router.get('/permissions', authenticateToken, requirePermission('roles:manage'), (req, res) => {
+    res.json(ALL_PERMISSIONS.map(name => ({ name, description: PERMISSIONS[name] })));
+});
+
+// 3. Assign a Role to a User (requires roles:manage)
+// Body: { role }. Users can't change their own role, the last admin can't be demoted, and a role can only be
+// given by someone who has all of its permissions. The user's current tokens stop working until refreshed.
+router.put('/users/:userId', authenticateToken, requirePermission('roles:manage'), validate(assignRoleSchema), async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const { user, previousRole } = await assignRole(client, { userId, role, actor: req.user });
+        await recordAudit(client, req, { action: 'user.role_assign', entityType: 'user', entityId: userId, before: { role: previousRole }, after: { role } });
+        await client.query('COMMIT');
+        res.json(user);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof RoleError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error assigning role:', error.message);
+        res.status(500).json({ message: 'Server error assigning role.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 4. Get a single Role (requires roles:manage)
+router.get('/:name', authenticateToken, requirePermission('roles:manage'), validate(roleNameSchema), async (req, res) => {
+    try {
+        const roleResult = await pool.query(`${ROLE_SELECT} WHERE r.name = $1`, [req.params.name]);
+        if (roleResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Role not found.' });
+        }
+        res.json(withEffectivePermissions(roleResult.rows[0]));
+    } catch (error) {
+        console.error('Error fetching role:', error.message);
+        res.status(500).json({ message: 'Server error fetching role.' });
+    }
+});
+
+// 5. Get the Users that have a Role (requires roles:manage)
+router.get('/:name/users', authenticateToken, requirePermission('roles:manage'), validate(roleNameSchema), async (req, res) => {
+    try {
+        const roleResult = await pool.query("SELECT name FROM roles WHERE name = $1", [req.params.name]);
+        if (roleResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Role not found.' });
+        }
+        const usersResult = await pool.query(
+            "SELECT id, username, email, role, created_at, updated_at FROM users WHERE role = $1 ORDER BY username ASC",
+            [req.params.name]
+        );
+        res.json(usersResult.rows);
+    } catch (error) {
+        console.error('Error fetching role users:', error.message);
+        res.status(500).json({ message: 'Server error fetching role users.' });
+    }
+});
+
+// 6. Create a Role (requires roles:manage)
+// Body: { name, description, permissions: ['orders:read', ...] } - only permissions the caller has can be granted
+router.post('/', authenticateToken, requirePermission('roles:manage'), validate(createRoleSchema), async (req, res) => {
+    const { name, description = null, permissions } = req.body;
+
+    const client = await pool.connect(); // Role and its permissions are created together
+
+    try {
+        await client.query('BEGIN');
+        assertCanGrant(req.user, permissions);
+
+        await client.query("INSERT INTO roles (name, description) VALUES ($1, $2)", [name, description]);
+        await setRolePermissions(client, name, permissions);
+
+        const roleResult = await client.query(`${ROLE_SELECT} WHERE r.name = $1`, [name]);
+        await recordAudit(client, req, { action: 'role.create', entityType: 'role', entityId: name, after: roleResult.rows[0] });
+        await client.query('COMMIT');
+        res.status(201).json(roleResult.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof RoleError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error creating role:', error.message);
+        if (error.code === '23505') { // PostgreSQL unique violation error code
+            return res.status(409).json({ message: `Role "${name}" already exists.` });
+        }
+        res.status(500).json({ message: 'Server error creating role.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 7. Update a Role's description and permissions (requires roles:manage) - replaces the permissions.
+// The admin role can't be changed. Users with the role get the new permissions on their next request.
+router.put('/:name', authenticateToken, requirePermission('roles:manage'), validate(updateRoleSchema), async (req, res) => {
+    const { name } = req.params;
+    const { description = null, permissions } = req.body;
+
+    if (name === ADMIN_ROLE) {
+        return res.status(400).json({ message: 'The admin role always has every permission and cannot be changed.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(`${ROLE_SELECT} WHERE r.name = $1 FOR UPDATE OF r`, [name]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Role not found.' });
+        }
+        // Adding and removing permissions are both limited to the ones the caller has
+        const changed = [
+            ...permissions.filter(permission => !existing.rows[0].permissions.includes(permission)),
+            ...existing.rows[0].permissions.filter(permission => !permissions.includes(permission))
+        ];
+        assertCanGrant(req.user, changed);
+
+        await client.query("UPDATE roles SET description = $1, updated_at = NOW() WHERE name = $2", [description, name]);
+        await setRolePermissions(client, name, permissions);
+
+        const roleResult = await client.query(`${ROLE_SELECT} WHERE r.name = $1`, [name]);
+        await recordAudit(client, req, { action: 'role.update', entityType: 'role', entityId: name, before: existing.rows[0], after: roleResult.rows[0] });
+        await client.query('COMMIT');
+        res.json(roleResult.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof RoleError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error updating role:', error.message);
+        res.status(500).json({ message: 'Server error updating role.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 8. Delete a Role (requires roles:manage) - built-in roles and roles still assigned to users can't be deleted
+router.delete('/:name', authenticateToken, requirePermission('roles:manage'), validate(roleNameSchema), async (req, res) => {
+    const { name } = req.params;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const roleResult = await client.query(`${ROLE_SELECT} WHERE r.name = $1 FOR UPDATE OF r`, [name]);
+        if (roleResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Role not found.' });
+        }
+        if (roleResult.rows[0].is_system) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Built-in roles cannot be deleted.' });
+        }
+
+        await client.query("DELETE FROM roles WHERE name = $1", [name]);
+        await recordAudit(client, req, { action: 'role.delete', entityType: 'role', entityId: name, before: roleResult.rows[0] });
+        await client.query('COMMIT');
+        res.status(200).json({ message: `Role "${name}" deleted successfully.` });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting role:', error.message);
+        if (error.code === '23503') { // users.role still references it
+            return res.status(409).json({ message: 'Cannot delete a role that is assigned to users. Assign them another role first.' });
+        }
+        res.status(500).json({ message: 'Server error deleting role.' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+// backend/routes/specAttributeRoutes.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { SPEC_DATA_TYPES } = require('../services/productSpecs');
+const { CategoryError, resolveCategory } = require('../services/categoryTree');
+const { validate, idParam } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const listSpecAttributesSchema = { query: { category: { type: 'string', maxLength: 100 } } };
+// `category` is a category id, slug or name; attributes are stored against the category's id
+const specAttributeBody = {
+    category: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    key: { type: 'string', required: true, maxLength: 50, pattern: /^[a-z0-9_]+$/, patternMessage: 'may only contain lowercase letters, digits and underscores.' },
+    label: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    data_type: { type: 'string', required: true, enum: SPEC_DATA_TYPES },
+    unit: { type: 'string', maxLength: 20, nullable: true },
+    sort_order: { type: 'integer' }
+};
+const createSpecAttributeSchema = { body: specAttributeBody };
+const updateSpecAttributeSchema = { params: { id: idParam }, body: specAttributeBody };
+const specAttributeIdSchema = { params: { id: idParam } };
+
+// 1. Get Spec Attributes, optionally for one category by id, slug or name (Publicly accessible)
+router.get('/', validate(listSpecAttributesSchema), async (req, res) => {
+    const { category } = req.query;
+    try {
+        if (category) {
+            const specCategory = await resolveCategory(pool, category);
+            if (!specCategory) {
+                return res.json([]);
+            }
+            const attributes = await pool.query("SELECT * FROM spec_attributes WHERE category_id = $1 ORDER BY sort_order ASC, label ASC", [specCategory.id]);
+            return res.json(attributes.rows);
+        }
+        const attributes = await pool.query("SELECT * FROM spec_attributes ORDER BY category ASC, category_id ASC, sort_order ASC, label ASC");
+        res.json(attributes.rows);
+    } catch (error) {
+        if (error instanceof CategoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error fetching spec attributes:', error.message);
+        res.status(500).json({ message: 'Server error fetching spec attributes.' });
+    }
+});
+
+// 2. Create a Spec Attribute (requires categories:write)
+router.post('/', authenticateToken, requirePermission('categories:write'), validate(createSpecAttributeSchema), async (req, res) => {
+    const { category, key, label, data_type, unit, sort_order = 0 } = req.body;
+
+    try {
+        const specCategory = await resolveCategory(pool, category);
+        if (!specCategory) {
+            return res.status(400).json({ message: `Category "${category}" does not exist.` });
+        }
+
+        const newAttribute = await pool.query(
+            "INSERT INTO spec_attributes (category, category_id, key, label, data_type, unit, sort_order) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
+            [specCategory.name, specCategory.id, key, label, data_type, unit, sort_order]
+        );
+        res.status(201).json(newAttribute.rows[0]);
+    } catch (error) {
+        if (error instanceof CategoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error creating spec attribute:', error.message);
+        if (error.code === '23505') { // PostgreSQL unique violation error code
+            return res.status(409).json({ message: 'That category already has an attribute with this key.' });
+        }
+        res.status(500).json({ message: 'Server error creating spec attribute.' });
+    }
+});
+
+// 3. Update a Spec Attribute (requires categories:write)
+// The data type can't be changed once values exist, because they are stored in a type-specific column.
+router.put('/:id', authenticateToken, requirePermission('categories:write'), validate(updateSpecAttributeSchema), async (req, res) => {
+    const { id } = req.params;
+    const { category, key, label, data_type, unit, sort_order = 0 } = req.body;
+
+    try {
+        const existing = await pool.query(
+            "SELECT data_type, EXISTS (SELECT 1 FROM product_specs WHERE attribute_id = $1) AS in_use FROM spec_attributes WHERE id = $1",
+            [id]
+        );
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: "Spec attribute not found." });
+        }
+        if (existing.rows[0].in_use && existing.rows[0].data_type !== data_type) {
+            return res.status(400).json({ message: 'Cannot change the data type of an attribute that products already use.' });
+        }
+        const specCategory = await resolveCategory(pool, category);
+        if (!specCategory) {
+            return res.status(400).json({ message: `Category "${category}" does not exist.` });
+        }
+
+        const updatedAttribute = await pool.query(
+            "UPDATE spec_attributes SET category = $1, category_id = $2, key = $3, label = $4, data_type = $5, unit = $6, sort_order = $7 WHERE id = $8 RETURNING *",
+            [specCategory.name, specCategory.id, key, label, data_type, unit, sort_order, id]
+        );
+        res.json(updatedAttribute.rows[0]);
+    } catch (error) {
+        if (error instanceof CategoryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error updating spec attribute:', error.message);
+        if (error.code === '23505') {
+            return res.status(409).json({ message: 'That category already has an attribute with this key.' });
+        }
+        res.status(500).json({ message: 'Server error updating spec attribute.' });
+    }
+});
+
+// 4. Delete a Spec Attribute and its product values (requires categories:write)
+router.delete('/:id', authenticateToken, requirePermission('categories:write'), validate(specAttributeIdSchema), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deleteOp = await pool.query("DELETE FROM spec_attributes WHERE id = $1 RETURNING *", [id]);
+        if (deleteOp.rowCount === 0) {
+            return res.status(404).json({ message: "Spec attribute not found." });
+        }
+        res.status(200).json({ message: `Spec attribute with id ${id} deleted successfully.` });
+    } catch (error) {
+        console.error('Error deleting spec attribute:', error.message);
+        res.status(500).json({ message: 'Server error deleting spec attribute.' });
+    }
+});
+
+module.exports = router;
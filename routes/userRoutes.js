@@ -2,14 +2,43 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db'); // Import the database pool
-const { authenticateToken, isAdmin } = require('../middleware/authMiddleware'); // Import auth middleware
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { RoleError, hasPermission, assertCanManageUser, assignRole } = require('../services/roleService');
+const { recordAudit } = require('../services/auditLog');
+const { ACCOUNT_COLUMNS, AccountError, deactivateAccount, restoreAccount, anonymizeAccount } = require('../services/accountService');
 const bcrypt = require('bcrypt'); // For hashing passwords if admin can update them
+const addressRoutes = require('./addressRoutes');
+const { validate, idParam } = require('../middleware/validate');
+
+const USER_STATUSES = ['active', 'deactivated'];
+
+// Request schemas (see middleware/validate.js)
+const userIdSchema = { params: { id: idParam } };
+const listUsersSchema = { query: { status: { type: 'string', enum: USER_STATUSES } } };
+const updateUserSchema = {
+    params: { id: idParam },
+    body: {
+        username: { type: 'string', minLength: 1, maxLength: 50 },
+        email: { type: 'string', maxLength: 255, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: 'must be a valid email address.' },
+        password: { type: 'string', minLength: 6, maxLength: 128 }, // Basic password length validation
+        role: { type: 'string', minLength: 1, maxLength: 50 } // Must name a role, see /api/admin/roles
+    }
+};
+
+// 1. Get all Users (requires users:read)
+// Query: status=active|deactivated to only list those; anonymized users count as deactivated
+router.get('/', authenticateToken, requirePermission('users:read'), validate(listUsersSchema), async (req, res) => {
+    const { status } = req.query;
+    let where = '';
+    if (status === 'active') {
+        where = 'WHERE deactivated_at IS NULL';
+    } else if (status === 'deactivated') {
+        where = 'WHERE deactivated_at IS NOT NULL';
+    }
 
-// 1. Get all Users (Admin only)
-router.get('/', authenticateToken, isAdmin, async (req, res) => {
     try {
         // Exclude password_hash for security
-        const allUsers = await pool.query("SELECT id, username, email, role, created_at, updated_at FROM users ORDER BY created_at DESC");
+        const allUsers = await pool.query(`SELECT ${ACCOUNT_COLUMNS} FROM users ${where} ORDER BY created_at DESC`);
         res.json(allUsers.rows);
     } catch (error) {
         console.error('Error fetching all users:', error.message);
@@ -17,19 +46,18 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
     }
 });
 
-// 2. Get a single User by ID (Admin only, or user themselves)
-router.get('/:id', authenticateToken, async (req, res) => {
+// 2. Get a single User by ID (users:read, or user themselves)
+router.get('/:id', authenticateToken, validate(userIdSchema), async (req, res) => {
     const { id } = req.params;
     const requestingUserId = req.user.userId;
-    const requestingUserRole = req.user.role;
 
     try {
-        // Allow admin to fetch any user, or a user to fetch their own profile
-        if (requestingUserRole !== 'admin' && parseInt(id) !== requestingUserId) {
+        // Allow staff with users:read to fetch any user, or a user to fetch their own profile
+        if (!hasPermission(req.user, 'users:read') && parseInt(id) !== requestingUserId) {
             return res.status(403).json({ message: 'Access denied. You can only view your own profile.' });
         }
 
-        const userResult = await pool.query("SELECT id, username, email, role, created_at, updated_at FROM users WHERE id = $1", [id]);
+        const userResult = await pool.query(`SELECT ${ACCOUNT_COLUMNS} FROM users WHERE id = $1`, [id]);
         if (userResult.rows.length === 0) {
             return res.status(404).json({ message: "User not found." });
         }
@@ -40,18 +68,20 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// 3. Update User (Admin only for any user, or user for their own profile)
-router.put('/:id', authenticateToken, async (req, res) => {
+// 3. Update User (users:write for any user, or user for their own profile; roles:manage to change the role)
+router.put('/:id', authenticateToken, validate(updateUserSchema), async (req, res) => {
     const { id } = req.params;
     const { username, email, password, role } = req.body; // Password and role updates are sensitive
     const requestingUserId = req.user.userId;
-    const requestingUserRole = req.user.role;
 
     // A user can only update their own profile (username, email, password)
-    // An admin can update any user's username, email, password, and role
-    if (requestingUserRole !== 'admin' && parseInt(id) !== requestingUserId) {
+    // Staff with users:write can update any user's username, email and password
+    if (!hasPermission(req.user, 'users:write') && parseInt(id) !== requestingUserId) {
         return res.status(403).json({ message: 'Access denied. You can only update your own profile.' });
     }
+    if (role !== undefined && !hasPermission(req.user, 'roles:manage')) {
+        return res.status(403).json({ message: 'Access denied. Changing roles requires the roles:manage permission.' });
+    }
 
     let query = "UPDATE users SET updated_at = NOW()";
     const values = [];
@@ -62,87 +92,139 @@ router.put('/:id', authenticateToken, async (req, res) => {
         values.push(username);
     }
     if (email !== undefined) {
+        // A changed email address has to be verified again
+        query += `, email_verified_at = CASE WHEN email = $${paramCount} THEN email_verified_at ELSE NULL END`;
         query += `, email = $${paramCount++}`;
         values.push(email);
     }
     if (password !== undefined) {
-        if (password.length < 6) { // Basic password length validation
-            return res.status(400).json({ message: 'Password must be at least 6 characters long.' });
-        }
         const hashedPassword = await bcrypt.hash(password, 10);
         query += `, password_hash = $${paramCount++}`;
         values.push(hashedPassword);
     }
-    // Only admin can change roles
-    if (role !== undefined && requestingUserRole === 'admin') {
-        if (!['user', 'admin'].includes(role)) {
-            return res.status(400).json({ message: 'Invalid role specified. Must be "user" or "admin".' });
-        }
-        query += `, role = $${paramCount++}`;
-        values.push(role);
-    } else if (role !== undefined && requestingUserRole !== 'admin') {
-        // If a non-admin tries to change role, ignore or reject
-        return res.status(403).json({ message: 'Access denied. Only administrators can change user roles.' });
-    }
 
-    query += ` WHERE id = $${paramCount++} RETURNING id, username, email, role, created_at, updated_at`;
+    query += ` WHERE id = $${paramCount++} RETURNING ${ACCOUNT_COLUMNS}`;
     values.push(id);
 
+    const client = await pool.connect(); // The role change and the profile update happen together
+
     try {
-        const updatedUser = await pool.query(query, values);
+        await client.query('BEGIN');
 
-        if (updatedUser.rows.length === 0) {
+        const targetResult = await client.query("SELECT * FROM users WHERE id = $1 FOR UPDATE", [id]);
+        if (targetResult.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ message: "User not found." });
         }
+        if (parseInt(id) !== requestingUserId) {
+            await assertCanManageUser(client, req.user, targetResult.rows[0].role);
+        }
+        if (targetResult.rows[0].anonymized_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: 'Anonymized users cannot be updated.' });
+        }
+
+        // Same rules as PUT /api/admin/roles/users/:userId
+        if (role !== undefined && role !== targetResult.rows[0].role) {
+            const { previousRole } = await assignRole(client, { userId: parseInt(id), role, actor: req.user });
+            await recordAudit(client, req, { action: 'user.role_assign', entityType: 'user', entityId: id, before: { role: previousRole }, after: { role } });
+        }
+        const updatedUser = await client.query(query, values);
+        // Users editing their own profile aren't audited; staff editing someone else's are
+        if (parseInt(id) !== requestingUserId) {
+            await recordAudit(client, req, {
+                action: 'user.update',
+                entityType: 'user',
+                entityId: id,
+                before: targetResult.rows[0],
+                after: { ...updatedUser.rows[0], password_changed: password !== undefined }
+            });
+        }
+
+        await client.query('COMMIT');
         res.json(updatedUser.rows[0]);
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof RoleError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         console.error('Error updating user:', error.message);
         // Handle unique constraint violation for username/email
         if (error.code === '23505') {
             return res.status(409).json({ message: 'Username or email already in use.' });
         }
         res.status(500).json({ message: 'Server error updating user.' });
+    } finally {
+        client.release();
     }
 });
 
-// 4. Delete User (Admin only)
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
-    const { id } = req.params;
-    const userIdToDelete = parseInt(id);
-    const requestingUserId = req.user.userId;
+// Run one of the accountService changes on another user's account in a transaction and audit it.
+// `change(client, userId)` returns { before, after }. The actor needs every permission of the user's role.
+const changeAccount = async (req, res, { action, verb, change }) => {
+    const userId = parseInt(req.params.id);
 
-    // Prevent admin from deleting themselves
-    if (userIdToDelete === requestingUserId) {
-        return res.status(403).json({ message: 'Cannot delete your own admin account.' });
+    // Prevent staff from locking themselves out
+    if (userId === req.user.userId) {
+        return res.status(403).json({ message: `Cannot ${verb} your own account.` });
     }
 
-    const client = await pool.connect(); // Use transaction for cascading delete
+    const client = await pool.connect();
+
     try {
         await client.query('BEGIN');
 
-        // Optional: Check if the user has any active orders before deleting (depends on business logic)
-        // const activeOrders = await client.query("SELECT id FROM orders WHERE user_id = $1 AND status NOT IN ('delivered', 'cancelled')", [userIdToDelete]);
-        // if (activeOrders.rows.length > 0) {
-        //     throw new Error('Cannot delete user with active orders.');
-        // }
-
-        // Deleting user will cascade delete their orders and order_items due to ON DELETE CASCADE
-        const deleteOp = await client.query("DELETE FROM users WHERE id = $1 RETURNING *", [userIdToDelete]);
-
-        if (deleteOp.rowCount === 0) {
-            await client.query('ROLLBACK');
-            return res.status(404).json({ message: "User not found." });
+        const targetResult = await client.query("SELECT role FROM users WHERE id = $1 FOR UPDATE", [userId]);
+        if (targetResult.rows.length > 0) {
+            await assertCanManageUser(client, req.user, targetResult.rows[0].role);
         }
 
+        const { before, after } = await change(client, userId);
+        await recordAudit(client, req, { action, entityType: 'user', entityId: userId, before, after });
+
         await client.query('COMMIT');
-        res.status(200).json({ message: `User with id ${id} and associated data deleted successfully.` });
+        res.json(after);
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error('Error deleting user:', error.message);
-        res.status(500).json({ message: error.message || 'Server error deleting user.' });
+        if (error instanceof AccountError || error instanceof RoleError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error(`Error trying to ${verb} user:`, error.message);
+        res.status(500).json({ message: `Server error trying to ${verb} user.` });
     } finally {
         client.release();
     }
-});
+};
+
+// 4. Deactivate User (requires users:write)
+// The user can no longer log in and every session is revoked; orders and other history stay intact.
+// Undo with POST /api/users/:id/restore.
+router.delete('/:id', authenticateToken, requirePermission('users:write'), validate(userIdSchema), (req, res) => changeAccount(req, res, {
+    action: 'user.deactivate',
+    verb: 'deactivate',
+    change: deactivateAccount
+}));
+
+// 5. Restore a deactivated User (requires users:write)
+router.post('/:id/restore', authenticateToken, requirePermission('users:write'), validate(userIdSchema), (req, res) => changeAccount(req, res, {
+    action: 'user.restore',
+    verb: 'restore',
+    change: restoreAccount
+}));
+
+// 6. Purge a User's personal data (requires users:write) - cannot be undone
+// The account is anonymized instead of deleted so its orders stay on record, see anonymizeAccount.
+// The audit entry keeps no personal data either.
+router.post('/:id/purge', authenticateToken, requirePermission('users:write'), validate(userIdSchema), (req, res) => changeAccount(req, res, {
+    action: 'user.purge',
+    verb: 'purge',
+    change: async (client, userId) => {
+        const after = await anonymizeAccount(client, userId);
+        return { before: null, after };
+    }
+}));
+
+// Address book: /api/users/:id/addresses
+router.use('/:id/addresses', addressRoutes);
 
 module.exports = router;
@@ -0,0 +1,182 @@
+// backend/routes/variantRoutes.js
+// Mounted under /api/products/:id/variants by productRoutes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // mergeParams exposes the product :id
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { recordStockMovement } = require('../services/inventoryService');
+const { recordAudit } = require('../services/auditLog');
+const { validate, idParam } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const variantBody = {
+    sku: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    attributes: { type: 'object' },
+    price: { type: 'number', min: 0, nullable: true },
+    stock_quantity: { type: 'integer', required: true, min: 0 },
+    image_url: { type: 'string', maxLength: 2048, nullable: true }
+};
+const productIdSchema = { params: { id: idParam } };
+const variantIdSchema = { params: { id: idParam, variantId: idParam } };
+const createVariantSchema = { ...productIdSchema, body: variantBody };
+const updateVariantSchema = { ...variantIdSchema, body: variantBody };
+
+// Helper function to convert numeric strings to numbers for variant data
+const parseVariantNumerics = (variant) => {
+    if (variant) {
+        if (typeof variant.price === 'string') {
+            variant.price = parseFloat(variant.price);
+        }
+        if (typeof variant.stock_quantity === 'string') {
+            variant.stock_quantity = parseInt(variant.stock_quantity);
+        }
+    }
+    return variant;
+};
+
+// Helper function to check the parent product exists
+const productExists = async (productId) => {
+    const productResult = await pool.query("SELECT id FROM products WHERE id = $1", [productId]);
+    return productResult.rows.length > 0;
+};
+
+
+// 1. Get all Variants of a Product (Publicly accessible)
+router.get('/', validate(productIdSchema), async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!await productExists(id)) {
+            return res.status(404).json({ message: "Product not found." });
+        }
+        const variants = await pool.query("SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC", [id]);
+        res.json(variants.rows.map(parseVariantNumerics)); // Parse before sending
+    } catch (error) {
+        console.error('Error fetching product variants:', error.message);
+        res.status(500).json({ message: 'Server error fetching product variants.' });
+    }
+});
+
+// 2. Create a Variant (requires products:write)
+router.post('/', authenticateToken, requirePermission('products:write'), validate(createVariantSchema), async (req, res) => {
+    const { id } = req.params;
+    const { sku, attributes = {}, price = null, stock_quantity, image_url } = req.body;
+
+    const client = await pool.connect(); // Variant and its opening stock movement are created together
+
+    try {
+        await client.query('BEGIN');
+
+        if (!await productExists(id)) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: "Product not found." });
+        }
+        const newVariant = await client.query(
+            "INSERT INTO product_variants (product_id, sku, attributes, price, stock_quantity, image_url) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+            [id, sku, attributes, price, stock_quantity, image_url]
+        );
+        await recordStockMovement(client, {
+            productId: id,
+            variantId: newVariant.rows[0].id,
+            change: stock_quantity,
+            quantityAfter: stock_quantity,
+            reason: 'restock',
+            userId: req.user.userId,
+            note: 'Initial stock'
+        });
+        await recordAudit(client, req, { action: 'variant.create', entityType: 'product_variant', entityId: newVariant.rows[0].id, after: newVariant.rows[0] });
+
+        await client.query('COMMIT');
+        res.status(201).json(parseVariantNumerics(newVariant.rows[0])); // Parse before sending
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating product variant:', error.message);
+        if (error.code === '23505') { // PostgreSQL unique violation error code
+            return res.status(409).json({ message: 'A variant with that SKU already exists.' });
+        }
+        res.status(500).json({ message: 'Server error creating product variant.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 3. Update a Variant (requires products:write) - a changed stock_quantity is recorded as an 'adjustment' stock movement
+router.put('/:variantId', authenticateToken, requirePermission('products:write'), validate(updateVariantSchema), async (req, res) => {
+    const { id, variantId } = req.params;
+    const { sku, attributes = {}, price = null, stock_quantity, image_url } = req.body;
+
+    const client = await pool.connect(); // Stock change and its ledger entry happen together
+
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            "SELECT * FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE",
+            [variantId, id]
+        );
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: "Product variant not found." });
+        }
+
+        const updatedVariant = await client.query(
+            `UPDATE product_variants
+             SET sku = $1, attributes = $2, price = $3, stock_quantity = $4, image_url = $5, updated_at = NOW()
+             WHERE id = $6 AND product_id = $7
+             RETURNING *`,
+            [sku, attributes, price, stock_quantity, image_url, variantId, id]
+        );
+        await recordStockMovement(client, {
+            productId: id,
+            variantId,
+            change: stock_quantity - parseInt(existing.rows[0].stock_quantity),
+            quantityAfter: stock_quantity,
+            reason: 'adjustment',
+            userId: req.user.userId,
+            note: 'Variant update'
+        });
+        await recordAudit(client, req, { action: 'variant.update', entityType: 'product_variant', entityId: variantId, before: existing.rows[0], after: updatedVariant.rows[0] });
+
+        await client.query('COMMIT');
+        res.json(parseVariantNumerics(updatedVariant.rows[0])); // Parse before sending
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating product variant:', error.message);
+        if (error.code === '23505') {
+            return res.status(409).json({ message: 'A variant with that SKU already exists.' });
+        }
+        res.status(500).json({ message: 'Server error updating product variant.' });
+    } finally {
+        client.release();
+    }
+});
+
+// 4. Delete a Variant (requires products:write)
+router.delete('/:variantId', authenticateToken, requirePermission('products:write'), validate(variantIdSchema), async (req, res) => {
+    const { id, variantId } = req.params;
+
+    const client = await pool.connect(); // The deletion and its audit entry happen together
+
+    try {
+        await client.query('BEGIN');
+        const deleteOp = await client.query("DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING *", [variantId, id]);
+        if (deleteOp.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: "Product variant not found." });
+        }
+        await recordAudit(client, req, { action: 'variant.delete', entityType: 'product_variant', entityId: variantId, before: deleteOp.rows[0] });
+
+        await client.query('COMMIT');
+        res.status(200).json({ message: `Variant with id ${variantId} deleted successfully.` });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting product variant:', error.message);
+        if (error.code === '23503') { // PostgreSQL foreign key violation error code
+            return res.status(400).json({ message: "Cannot delete variant because it is referenced in existing orders." });
+        }
+        res.status(500).json({ message: 'Server error deleting product variant.' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
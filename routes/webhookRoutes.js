@@ -0,0 +1,105 @@
+// backend/routes/webhookRoutes.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware'); // Import auth middleware
+const { processEvent } = require('../services/webhookService');
+
+const { validate, paginationQuery } = require('../middleware/validate');
+
+const EVENT_STATUSES = ['pending', 'processing', 'processed', 'failed', 'ignored'];
+
+// Request schemas (see middleware/validate.js); event ids are Stripe's (evt_...)
+const listEventsSchema = {
+    query: {
+        status: { type: 'string', enum: EVENT_STATUSES },
+        type: { type: 'string', maxLength: 100 },
+        ...paginationQuery
+    }
+};
+const eventIdSchema = { params: { id: { type: 'string', required: true, maxLength: 255 } } };
+
+// 1. List stored Webhook Events (requires webhooks:manage)
+// Query params: status, type, limit (default 50, max 200), offset
+router.get('/', authenticateToken, requirePermission('webhooks:manage'), validate(listEventsSchema), async (req, res) => {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const conditions = [];
+    const values = [];
+    if (status) {
+        values.push(status);
+        conditions.push(`status = $${values.length}`);
+    }
+    if (type) {
+        values.push(type);
+        conditions.push(`type = $${values.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const eventsResult = await pool.query(
+            `SELECT id, type, status, attempts, last_error, next_retry_at, received_at, processed_at
+             FROM webhook_events
+             ${where}
+             ORDER BY received_at DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM webhook_events ${where}`, values);
+
+        res.json({
+            events: eventsResult.rows,
+            total: parseInt(countResult.rows[0].total),
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error fetching webhook events:', error.message);
+        res.status(500).json({ message: 'Server error fetching webhook events.' });
+    }
+});
+
+// 2. Get a single Webhook Event with its payload (requires webhooks:manage)
+router.get('/:id', authenticateToken, requirePermission('webhooks:manage'), validate(eventIdSchema), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const eventResult = await pool.query("SELECT * FROM webhook_events WHERE id = $1", [id]);
+        if (eventResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Webhook event not found.' });
+        }
+        res.json(eventResult.rows[0]);
+    } catch (error) {
+        console.error('Error fetching webhook event:', error.message);
+        res.status(500).json({ message: 'Server error fetching webhook event.' });
+    }
+});
+
+// 3. Replay a Webhook Event (requires webhooks:manage) - runs its handler again, whatever its current status
+router.post('/:id/replay', authenticateToken, requirePermission('webhooks:manage'), validate(eventIdSchema), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const eventResult = await pool.query("SELECT id FROM webhook_events WHERE id = $1", [id]);
+        if (eventResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Webhook event not found.' });
+        }
+
+        console.log(`Admin (User ID: ${req.user.userId}) replaying webhook event ${id}`);
+        const result = await processEvent(id, { force: true });
+        if (result.status === 'skipped') {
+            return res.status(409).json({ message: 'Webhook event is currently being processed.' });
+        }
+
+        const updatedEvent = await pool.query(
+            "SELECT id, type, status, attempts, last_error, next_retry_at, received_at, processed_at FROM webhook_events WHERE id = $1",
+            [id]
+        );
+        res.json(updatedEvent.rows[0]); // status and last_error show whether the replay succeeded
+    } catch (error) {
+        console.error('Error replaying webhook event:', error.message);
+        res.status(500).json({ message: 'Server error replaying webhook event.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+// backend/routes/wishlistRoutes.js
+// Wishlist and back-in-stock ("notify me") subscriptions of the authenticated user
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db'); // Import the database pool
+const { authenticateToken } = require('../middleware/authMiddleware'); // Import auth middleware
+const { validate, idParam } = require('../middleware/validate');
+
+// Request schemas (see middleware/validate.js)
+const productBodySchema = { body: { productId: { type: 'integer', required: true, min: 1 } } };
+const productParamSchema = { params: { productId: idParam } };
+
+// SQL for whether product `p` can be bought: its own stock, or the stock of any of its variants
+const IN_STOCK_SQL = `(p.stock_quantity > 0 OR EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.stock_quantity > 0))`;
+
+// 1. Get the Wishlist with live prices and stock (Authenticated User)
+router.get('/', authenticateToken, async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        const wishlistResult = await pool.query(
+            `SELECT w.product_id, p.name, p.price, p.image_url, ${IN_STOCK_SQL} AS in_stock,
+                    (n.user_id IS NOT NULL AND n.notified_at IS NULL) AS notify_when_in_stock, w.created_at
+             FROM wishlist_items w
+             JOIN products p ON w.product_id = p.id
+             LEFT JOIN stock_notifications n ON n.user_id = w.user_id AND n.product_id = w.product_id
+             WHERE w.user_id = $1 AND p.archived_at IS NULL
+             ORDER BY w.created_at DESC`,
+            [userId]
+        );
+        res.json(wishlistResult.rows.map(item => ({ ...item, price: parseFloat(item.price) })));
+    } catch (error) {
+        console.error('Error fetching wishlist:', error.message);
+        res.status(500).json({ message: 'Server error fetching wishlist.' });
+    }
+});
+
+// 2. Add a Product to the Wishlist (Authenticated User) - adding it twice is a no-op
+router.post('/', authenticateToken, validate(productBodySchema), async (req, res) => {
+    const { productId } = req.body;
+    const userId = req.user.userId;
+
+    try {
+        await pool.query(
+            "INSERT INTO wishlist_items (user_id, product_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+            [userId, productId]
+        );
+        res.status(201).json({ message: 'Product added to wishlist.', productId });
+    } catch (error) {
+        console.error('Error adding to wishlist:', error.message);
+        if (error.code === '23503') { // PostgreSQL foreign key violation error code
+            return res.status(404).json({ message: 'Product not found.' });
+        }
+        res.status(500).json({ message: 'Server error adding to wishlist.' });
+    }
+});
+
+// 3. Get the Products the user wants to be notified about (Authenticated User)
+// Declared before /:productId so "notifications" isn't treated as a product id
+router.get('/notifications', authenticateToken, async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        const notificationsResult = await pool.query(
+            `SELECT n.product_id, p.name, ${IN_STOCK_SQL} AS in_stock, n.created_at, n.notified_at
+             FROM stock_notifications n
+             JOIN products p ON n.product_id = p.id
+             WHERE n.user_id = $1
+             ORDER BY n.created_at DESC`,
+            [userId]
+        );
+        res.json(notificationsResult.rows);
+    } catch (error) {
+        console.error('Error fetching stock notifications:', error.message);
+        res.status(500).json({ message: 'Server error fetching stock notifications.' });
+    }
+});
+
+// 4. Ask to be notified when an out-of-stock Product is back (Authenticated User)
+// Subscribing again after a notification was sent re-arms it.
+router.post('/notifications', authenticateToken, validate(productBodySchema), async (req, res) => {
+    const { productId } = req.body;
+    const userId = req.user.userId;
+
+    try {
+        const productResult = await pool.query(`SELECT ${IN_STOCK_SQL} AS in_stock FROM products p WHERE p.id = $1 AND p.archived_at IS NULL`, [productId]);
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Product not found.' });
+        }
+        if (productResult.rows[0].in_stock) {
+            return res.status(400).json({ message: 'This product is in stock.' });
+        }
+
+        const subscription = await pool.query(
+            `INSERT INTO stock_notifications (user_id, product_id) VALUES ($1, $2)
+             ON CONFLICT (user_id, product_id) DO UPDATE SET created_at = NOW(), notified_at = NULL
+             RETURNING *`,
+            [userId, productId]
+        );
+        res.status(201).json(subscription.rows[0]);
+    } catch (error) {
+        console.error('Error subscribing to stock notification:', error.message);
+        res.status(500).json({ message: 'Server error subscribing to stock notification.' });
+    }
+});
+
+// 5. Stop a back-in-stock notification (Authenticated User)
+router.delete('/notifications/:productId', authenticateToken, validate(productParamSchema), async (req, res) => {
+    const { productId } = req.params;
+    const userId = req.user.userId;
+    try {
+        const deleteOp = await pool.query(
+            "DELETE FROM stock_notifications WHERE user_id = $1 AND product_id = $2 RETURNING product_id",
+            [userId, productId]
+        );
+        if (deleteOp.rowCount === 0) {
+            return res.status(404).json({ message: 'Stock notification not found.' });
+        }
+        res.status(200).json({ message: 'Stock notification removed.' });
+    } catch (error) {
+        console.error('Error removing stock notification:', error.message);
+        res.status(500).json({ message: 'Server error removing stock notification.' });
+    }
+});
+
+// 6. Remove a Product from the Wishlist (Authenticated User)
+router.delete('/:productId', authenticateToken, validate(productParamSchema), async (req, res) => {
+    const { productId } = req.params;
+    const userId = req.user.userId;
+    try {
+        const deleteOp = await pool.query(
+            "DELETE FROM wishlist_items WHERE user_id = $1 AND product_id = $2 RETURNING product_id",
+            [userId, productId]
+        );
+        if (deleteOp.rowCount === 0) {
+            return res.status(404).json({ message: 'Product not found in wishlist.' });
+        }
+        res.status(200).json({ message: 'Product removed from wishlist.' });
+    } catch (error) {
+        console.error('Error removing from wishlist:', error.message);
+        res.status(500).json({ message: 'Server error removing from wishlist.' });
+    }
+});
+
+module.exports = router;
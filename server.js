@@ -3,15 +3,20 @@ const express = require('express');
 const cors = require('cors');
 // REMOVED: require('dotenv').config(); // Render handles env vars directly
 
-// Temporary: Use a dummy key if STRIPE_SECRET_KEY is not found in environment variables.
-// This allows the server to start, but actual Stripe payments will fail until the correct key is set on Render.
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_DUMMY_KEY_FOR_RENDER_DEPLOYMENT'); // Initialize Stripe
+// Shared Stripe client (falls back to a dummy key until STRIPE_SECRET_KEY is set on Render)
+const stripe = require('./config/stripe');
 
 // Import database configuration
 const pool = require('./config/db');
 
 // Import authentication middleware
-const { authenticateToken, isAdmin } = require('./middleware/authMiddleware');
+const { authenticateToken } = require('./middleware/authMiddleware');
+const { errorResponses, notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { startRateLimitSweeper } = require('./middleware/rateLimit');
+
+// Stripe webhook event persistence and dispatch
+const { storeEvent, processEvent, startWebhookRetryWorker } = require('./services/webhookService');
+const { startReservationSweeper } = require('./services/reservationService');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -19,23 +24,38 @@ const productRoutes = require('./routes/productRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const userRoutes = require('./routes/userRoutes');
 const messageRoutes = require('./routes/messageRoutes'); // Ensure message routes are imported
+const cartRoutes = require('./routes/cartRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const specAttributeRoutes = require('./routes/specAttributeRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const reviewAdminRoutes = require('./routes/reviewAdminRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
 
 const app = express();
 const port = process.env.PORT || 3001; // Use PORT from environment or default to 3001
 
+// Render's proxy sits in front of the app, so req.ip (used by rate limits) must come from X-Forwarded-For.
+// Set TRUST_PROXY_HOPS=0 when the app is reached directly.
+app.set('trust proxy', process.env.TRUST_PROXY_HOPS !== undefined ? parseInt(process.env.TRUST_PROXY_HOPS) : 1);
+
 // --- CORS Configuration (IMPORTANT for Frontend-Backend Communication) ---
 // Replace 'https://ecommerce-frontend-app.onrender.com' with your actual deployed frontend URL
 const corsOptions = {
     origin: 'https://ecommerce-frontend-app.onrender.com', // Allow requests ONLY from your deployed frontend
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], // Allowed HTTP methods
     allowedHeaders: ['Content-Type', 'Authorization'], // Allowed headers
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'], // Readable by the frontend when throttled
     credentials: true // Allow cookies and authorization headers to be sent
 };
 app.use(cors(corsOptions)); // Apply CORS middleware with specific options
 // --- END CORS Configuration ---
 
-
-app.use(express.json()); // To parse JSON bodies from incoming requests (after webhook for raw body)
+app.use(errorResponses); // Every JSON error response carries a machine-readable code
 
 // --- Stripe Webhook Endpoint (MUST be before express.json() if raw body is needed) ---
 // Stripe recommends using the raw body for webhook signature verification
@@ -47,78 +67,72 @@ app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (
     // Ensure it's correctly configured in Render environment variables.
     if (!process.env.STRIPE_WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET === 'whsec_YOUR_STRIPE_WEBHOOK_SECRET') {
         console.warn("Stripe Webhook Secret is not configured. Webhook verification will fail.");
-        return res.status(400).send("Webhook secret not configured.");
+        return res.status(400).json({ message: 'Webhook secret not configured.' });
     }
 
     try {
         event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
     } catch (err) {
         console.error(`Webhook Error: ${err.message}`);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+        return res.status(400).json({ message: 'Webhook signature verification failed.' });
     }
 
-    // Handle the event
-    switch (event.type) {
-        case 'payment_intent.succeeded':
-            const paymentIntentSucceeded = event.data.object;
-            console.log(`PaymentIntent for ${paymentIntentSucceeded.amount} was successful!`);
-            // Update your order in the database to 'completed'
-            const orderIdFromMetadata = paymentIntentSucceeded.metadata.orderId;
-            if (orderIdFromMetadata) {
-                try {
-                    await pool.query(
-                        "UPDATE orders SET payment_status = 'completed', updated_at = NOW() WHERE id = $1 AND stripe_payment_intent_id = $2",
-                        [orderIdFromMetadata, paymentIntentSucceeded.id]
-                    );
-                    console.log(`Order ${orderIdFromMetadata} payment status updated to 'completed'.`);
-                } catch (dbErr) {
-                    console.error(`Database update failed for order ${orderIdFromMetadata}:`, dbErr);
-                }
-            }
-            break;
-        case 'payment_intent.payment_failed':
-            const paymentIntentFailed = event.data.object;
-            console.log(`PaymentIntent for ${paymentIntentFailed.amount} failed!`);
-            // Update your order in the database to 'failed'
-            const failedOrderIdFromMetadata = paymentIntentFailed.metadata.orderId;
-            if (failedOrderIdFromMetadata) {
-                try {
-                    await pool.query(
-                        "UPDATE orders SET payment_status = 'failed', updated_at = NOW() WHERE id = $1 AND stripe_payment_intent_id = $2",
-                        [failedOrderIdFromMetadata, paymentIntentFailed.id]
-                    );
-                    console.log(`Order ${failedOrderIdFromMetadata} payment status updated to 'failed'.`);
-                } catch (dbErr) {
-                    console.error(`Database update failed for failed order ${failedOrderIdFromMetadata}:`, dbErr);
-                }
-            }
-            break;
-        default:
-            console.log(`Unhandled event type ${event.type}`);
+    // Store the event first. Stripe may deliver the same event more than once.
+    let isNewEvent;
+    try {
+        isNewEvent = await storeEvent(event);
+    } catch (dbErr) {
+        console.error(`Failed to store webhook event ${event.id}:`, dbErr);
+        return res.status(500).json({ message: 'Failed to store webhook event.' }); // Stripe will retry the delivery
+    }
+
+    // A duplicate delivery is only re-processed if the earlier attempt failed
+    const result = await processEvent(event.id);
+    if (!isNewEvent && result.status === 'skipped') {
+        console.log(`Skipping duplicate webhook event ${event.id}.`);
+        return res.json({received: true, duplicate: true});
+    }
+    if (result.status === 'failed') {
+        // The event is kept and retried by the worker; a non-2xx also makes Stripe redeliver it
+        return res.status(500).json({received: true, error: 'Event handler failed.'});
     }
 
     res.json({received: true});
 });
 
+app.use(express.json()); // To parse JSON bodies from incoming requests (after webhook for raw body)
+
 // Route Middlewares
 app.use('/api/auth', authRoutes); // Authentication routes (register, login)
 app.use('/api/products', productRoutes); // Product CRUD routes
 app.use('/api/orders', orderRoutes); // Order management routes
 app.use('/api/users', userRoutes); // User management routes
 app.use('/api/messages', messageRoutes); // Message routes
+app.use('/api/cart', cartRoutes); // Shopping cart routes
+app.use('/api/admin/webhook-events', webhookRoutes); // Stored Stripe webhook events (Staff only)
+app.use('/api/spec-attributes', specAttributeRoutes); // Product specification attributes per category
+app.use('/api/categories', categoryRoutes); // Category tree and admin category management
+app.use('/api/admin/reviews', reviewAdminRoutes); // Review moderation (Staff only)
+app.use('/api/promotions', promotionRoutes); // Promotion / coupon code management (Staff only)
+app.use('/api/wishlist', wishlistRoutes); // Wishlist and back-in-stock notifications
+app.use('/api/admin/inventory', inventoryRoutes); // Stock ledger, receiving, adjustments and low-stock alerts (Staff only)
+app.use('/api/admin/reports', reportRoutes); // Sales analytics with CSV export (Staff only)
+app.use('/api/admin/roles', roleRoutes); // Roles, permissions and role assignments (Staff only)
+app.use('/api/admin/audit-log', auditLogRoutes); // Audit log of staff actions (Staff only)
 
 // Basic Route for testing server status
 app.get('/', (req, res) => {
     res.send('E-commerce API is running!');
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).send('Something broke!');
-});
+// Unknown routes and error handling middleware (JSON errors; internal details are only logged)
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Start the server
 app.listen(port, () => {
     console.log(`Server listening at http://localhost:${port}`);
+    startWebhookRetryWorker(); // Retry failed Stripe webhook events in the background
+    startReservationSweeper(); // Cancel orders whose stock reservation expired unpaid
+    startRateLimitSweeper(); // Delete expired rate limit counters
 });
@@ -0,0 +1,48 @@
+// backend/services/accountEmails.js
+// Account and notification emails sent through the pluggable mailer.
+const { getMailer } = require('./mailer');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://ecommerce-frontend-app.onrender.com';
+
+// Usernames are user input, so escape them before putting them into HTML
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const sendVerificationEmail = (user, token) => {
+    const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return getMailer().sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by opening <a href="${link}">this link</a>.</p><p>If you did not create an account, you can ignore this email.</p>`
+    });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+    const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return getMailer().sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\nYou can choose a new password by opening this link:\n${link}\n\nIf you did not request a password reset, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p>You can choose a new password by opening <a href="${link}">this link</a>.</p><p>If you did not request a password reset, you can ignore this email.</p>`
+    });
+};
+
+const sendBackInStockEmail = (user, product) => {
+    const link = `${FRONTEND_URL}/products/${encodeURIComponent(product.id)}`;
+    return getMailer().sendMail({
+        to: user.email,
+        subject: `${product.name} is back in stock`,
+        text: `Hi ${user.username},\n\n${product.name} is back in stock:\n${link}\n\nYou asked us to let you know. We won't email you about this product again unless you ask to be notified again.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p><a href="${link}">${escapeHtml(product.name)}</a> is back in stock.</p><p>You asked us to let you know. We won't email you about this product again unless you ask to be notified again.</p>`
+    });
+};
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendBackInStockEmail
+};
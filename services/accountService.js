@@ -0,0 +1,110 @@
+// backend/services/accountService.js
+// Deactivating, restoring and anonymizing user accounts (see migrations/022_soft_delete.sql).
+// Users are never deleted: their orders are financial records and have to stay attached to an account.
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { DEFAULT_ROLE } = require('./roleService');
+const { revokeAllUserTokens } = require('./tokenService');
+
+// Columns returned for an account, never the password hash
+const ACCOUNT_COLUMNS = 'id, username, email, role, deactivated_at, anonymized_at, created_at, updated_at';
+
+// Error for an account that can't be changed as requested; carries the HTTP status
+class AccountError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AccountError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Lock and return the user row, or throw a 404 AccountError
+const lockUser = async (client, userId) => {
+    const userResult = await client.query("SELECT * FROM users WHERE id = $1 FOR UPDATE", [userId]);
+    if (userResult.rows.length === 0) {
+        throw new AccountError('User not found.', 404);
+    }
+    return userResult.rows[0];
+};
+
+// Stop a user from logging in, inside an open transaction: every session and pending email token is revoked.
+// Returns { before, after } rows.
+const deactivateAccount = async (client, userId) => {
+    const before = await lockUser(client, userId);
+    if (before.deactivated_at) {
+        throw new AccountError('User is already deactivated.', 409);
+    }
+
+    await revokeAllUserTokens(client, userId);
+    await client.query("UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL", [userId]);
+    const updated = await client.query(
+        `UPDATE users SET deactivated_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING ${ACCOUNT_COLUMNS}`,
+        [userId]
+    );
+    return { before, after: updated.rows[0] };
+};
+
+// Let a deactivated user log in again, inside an open transaction. Anonymized accounts can't be restored.
+// Returns { before, after } rows.
+const restoreAccount = async (client, userId) => {
+    const before = await lockUser(client, userId);
+    if (before.anonymized_at) {
+        throw new AccountError('Anonymized users cannot be restored.', 409);
+    }
+    if (!before.deactivated_at) {
+        throw new AccountError('User is not deactivated.', 409);
+    }
+
+    const updated = await client.query(
+        `UPDATE users SET deactivated_at = NULL, updated_at = NOW() WHERE id = $1 RETURNING ${ACCOUNT_COLUMNS}`,
+        [userId]
+    );
+    return { before, after: updated.rows[0] };
+};
+
+// Remove a user's personal data for good, inside an open transaction. The account is deactivated and keeps its
+// id, so orders, refunds and reviews stay intact: username and email are replaced, the password can no longer
+// match, and addresses, cart, wishlist, stock notifications and messages are deleted. Order shipping addresses
+// are cut down to region and country, which tax records need. The audit log never holds personal data
+// (see auditLog.js), so nothing is left there either. Returns the anonymized row.
+const anonymizeAccount = async (client, userId) => {
+    const user = await lockUser(client, userId);
+    if (user.anonymized_at) {
+        throw new AccountError('User is already anonymized.', 409);
+    }
+
+    await revokeAllUserTokens(client, userId);
+    await client.query("DELETE FROM account_tokens WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM user_addresses WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM cart_items WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM wishlist_items WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM stock_notifications WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM messages WHERE sender_id = $1 OR receiver_id = $1", [userId]);
+    await client.query(
+        `UPDATE orders
+         SET shipping_address_details = CASE WHEN shipping_address_details IS NULL THEN NULL
+                 ELSE jsonb_build_object('region', shipping_address_details->'region', 'country', shipping_address_details->'country') END,
+             shipping_address = COALESCE(NULLIF(CONCAT_WS(', ', shipping_address_details->>'region', shipping_address_details->>'country'), ''), 'Removed')
+         WHERE user_id = $1`,
+        [userId]
+    );
+
+    // A random password nobody knows, hashed like a real one so login comparisons behave normally
+    const unusablePasswordHash = await bcrypt.hash(crypto.randomBytes(32).toString('base64url'), 10);
+    const anonymized = await client.query(
+        `UPDATE users
+         SET username = 'deleted-user-' || id, email = 'deleted-user-' || id || '@deleted.invalid', password_hash = $2,
+             email_verified_at = NULL, role = $3, deactivated_at = COALESCE(deactivated_at, NOW()), anonymized_at = NOW(), updated_at = NOW()
+         WHERE id = $1 RETURNING ${ACCOUNT_COLUMNS}`,
+        [userId, unusablePasswordHash, DEFAULT_ROLE]
+    );
+    return anonymized.rows[0];
+};
+
+module.exports = {
+    ACCOUNT_COLUMNS,
+    AccountError,
+    deactivateAccount,
+    restoreAccount,
+    anonymizeAccount
+};
@@ -0,0 +1,46 @@
+// backend/services/accountTokenService.js
+// Single-use, expiring tokens for password resets and email verification (stored hashed in account_tokens).
+const crypto = require('crypto');
+
+const TOKEN_TTL_MINUTES = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 60 * 24
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for the user and return the plain value to be emailed.
+// Any unused token of the same purpose is invalidated so only the latest email works.
+// `db` can be the pool or a client inside a transaction.
+const createAccountToken = async (db, userId, purpose) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await db.query(
+        "UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+        [userId, purpose]
+    );
+    await db.query(
+        `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+        [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+    );
+
+    return token;
+};
+
+// Mark a token as used and return its user id, or null if it is unknown, expired or already used.
+// The single UPDATE makes consumption atomic, so a token can never be redeemed twice.
+const consumeAccountToken = async (db, token, purpose) => {
+    const consumed = await db.query(
+        `UPDATE account_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token), purpose]
+    );
+    return consumed.rows.length > 0 ? consumed.rows[0].user_id : null;
+};
+
+module.exports = {
+    createAccountToken,
+    consumeAccountToken
+};
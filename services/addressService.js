@@ -0,0 +1,110 @@
+// backend/services/addressService.js
+// Structured postal addresses: { full_name?, line1, line2?, city, region?, postal_code, country, phone? }.
+// `country` is an ISO 3166-1 alpha-2 code and `region` a state/province code, both stored upper-case.
+const ADDRESS_FIELDS = ['full_name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'phone'];
+const REQUIRED_ADDRESS_FIELDS = ['line1', 'city', 'postal_code', 'country'];
+
+// Per-country rules. Countries not listed only get the generic checks above.
+const COUNTRY_ADDRESS_RULES = {
+    US: { postalCode: /^\d{5}(-\d{4})?$/, postalCodeExample: '94105 or 94105-1234', regionRequired: true, region: /^[A-Z]{2}$/ },
+    CA: { postalCode: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, postalCodeExample: 'K1A 0B1', regionRequired: true, region: /^[A-Z]{2}$/ },
+    GB: { postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, postalCodeExample: 'SW1A 1AA' },
+    DE: { postalCode: /^\d{5}$/, postalCodeExample: '10115' },
+    FR: { postalCode: /^\d{5}$/, postalCodeExample: '75001' },
+    AU: { postalCode: /^\d{4}$/, postalCodeExample: '2000', regionRequired: true },
+    IN: { postalCode: /^\d{6}$/, postalCodeExample: '110001', regionRequired: true },
+    NG: { postalCode: /^\d{6}$/, postalCodeExample: '100001', regionRequired: true }
+};
+
+// Request validation rule (middleware/validate.js) for an address object; normalizeAddress applies the country rules
+const ADDRESS_SCHEMA = {
+    type: 'object',
+    properties: Object.fromEntries(ADDRESS_FIELDS.map(field => [field, { type: 'string', maxLength: 255, nullable: true }]))
+};
+
+// Validate and normalize an address from a request body. Returns { error } or { address }.
+const normalizeAddress = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: `Address must be an object with ${REQUIRED_ADDRESS_FIELDS.join(', ')}.` };
+    }
+
+    const address = {};
+    for (const field of ADDRESS_FIELDS) {
+        const value = input[field];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            return { error: `Address field "${field}" must be a string.` };
+        }
+        address[field] = value ? value.trim() : null;
+    }
+
+    const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !address[field]);
+    if (missing.length > 0) {
+        return { error: `Address is missing: ${missing.join(', ')}.` };
+    }
+
+    address.country = address.country.toUpperCase();
+    if (!/^[A-Z]{2}$/.test(address.country)) {
+        return { error: 'Address country must be a 2-letter ISO country code, e.g. "US".' };
+    }
+    if (address.region) {
+        address.region = address.region.toUpperCase();
+    }
+    address.postal_code = address.postal_code.toUpperCase();
+
+    const rules = COUNTRY_ADDRESS_RULES[address.country];
+    if (rules) {
+        if (!rules.postalCode.test(address.postal_code)) {
+            return { error: `Invalid postal code for ${address.country}, expected e.g. ${rules.postalCodeExample}.` };
+        }
+        if (rules.regionRequired && !address.region) {
+            return { error: `A region (state/province) is required for addresses in ${address.country}.` };
+        }
+        if (rules.region && address.region && !rules.region.test(address.region)) {
+            return { error: `Region for ${address.country} must be a 2-letter state/province code.` };
+        }
+    }
+    return { address };
+};
+
+// Single-line form of an address, stored in orders.shipping_address for display
+const formatAddress = (address) => [
+    address.full_name,
+    address.line1,
+    address.line2,
+    address.city,
+    [address.region, address.postal_code].filter(Boolean).join(' '),
+    address.country
+].filter(Boolean).join(', ');
+
+// Just the address fields of a saved address row, for snapshotting it into an order
+const toAddress = (row) => Object.fromEntries(ADDRESS_FIELDS.map(field => [field, row[field]]));
+
+// The shipping address for an order: a saved address of the user when `addressId` is given, otherwise the
+// address in the request body. Returns { error, status } or { address }.
+const resolveShippingAddress = async (db, userId, { addressId, shippingAddress }) => {
+    if (addressId !== undefined && addressId !== null) {
+        const addressResult = await db.query(
+            "SELECT * FROM user_addresses WHERE id = $1 AND user_id = $2",
+            [addressId, userId]
+        );
+        if (addressResult.rows.length === 0) {
+            return { error: `Address with ID ${addressId} not found in your address book.`, status: 404 };
+        }
+        return { address: toAddress(addressResult.rows[0]) };
+    }
+    if (!shippingAddress) {
+        return { error: 'A shipping address or addressId is required.', status: 400 };
+    }
+    const { error, address } = normalizeAddress(shippingAddress);
+    return error ? { error, status: 400 } : { address };
+};
+
+module.exports = {
+    ADDRESS_FIELDS,
+    COUNTRY_ADDRESS_RULES,
+    ADDRESS_SCHEMA,
+    normalizeAddress,
+    formatAddress,
+    toAddress,
+    resolveShippingAddress
+};
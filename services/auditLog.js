@@ -0,0 +1,65 @@
+// backend/services/auditLog.js
+// Append-only audit log of staff mutations (migrations/021_audit_log.sql).
+// Routes record an entry with the same client as the change itself, so the entry commits or rolls back with it.
+
+// Fields never copied into snapshots
+const SECRET_FIELDS = ['password_hash', 'token_version'];
+
+// Personal data of users, addresses, orders and messages. The log can't be changed, so purging a user
+// (accountService.anonymizeAccount) could never remove it: snapshots only say which of these fields changed.
+const PERSONAL_FIELDS = [
+    'username', 'email', // users
+    'full_name', 'line1', 'line2', 'city', 'postal_code', 'phone', // user_addresses
+    'shipping_address', 'shipping_address_details', // orders
+    'subject', 'message_text' // messages
+];
+
+const isRow = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Snapshot of a row (or any JSON value) for the before/after columns, without secrets or personal data.
+// `extra` is merged into a row snapshot.
+const toSnapshot = (value, extra = {}) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (isRow(value)) {
+        const snapshot = { ...value };
+        for (const field of [...SECRET_FIELDS, ...PERSONAL_FIELDS]) {
+            delete snapshot[field];
+        }
+        return JSON.stringify({ ...snapshot, ...extra });
+    }
+    return JSON.stringify(value);
+};
+
+// Names of the personal fields an update changed, e.g. ['email']
+const changedPersonalFields = (before, after) => {
+    if (!isRow(before) || !isRow(after)) {
+        return [];
+    }
+    return PERSONAL_FIELDS.filter(field => field in after && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+// Record that the authenticated user of `req` performed `action` on an entity.
+// `before` is null for creations and `after` null for deletions.
+const recordAudit = (db, req, { action, entityType, entityId = null, before = null, after = null }) => {
+    const changed = changedPersonalFields(before, after);
+    return db.query(
+        `INSERT INTO audit_log (actor_id, actor_role, action, entity_type, entity_id, before, after, ip_address)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+            req.user.userId,
+            req.user.role,
+            action,
+            entityType,
+            entityId === null ? null : String(entityId),
+            toSnapshot(before),
+            toSnapshot(after, changed.length > 0 ? { changed_personal_fields: changed } : {}),
+            req.ip || null
+        ]
+    );
+};
+
+module.exports = {
+    recordAudit
+};
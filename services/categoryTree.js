@@ -0,0 +1,89 @@
+// backend/services/categoryTree.js
+// Helpers for the hierarchical categories table.
+
+// "Gaming Laptops" -> "gaming-laptops"
+const slugify = (value) => String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// SQL for a category and all of its descendants, given a parameter placeholder holding the root id
+const descendantIdsSql = (rootParam) => `
+    WITH RECURSIVE category_tree AS (
+        SELECT id FROM categories WHERE id = ${rootParam}
+        UNION ALL
+        SELECT c.id FROM categories c JOIN category_tree t ON c.parent_id = t.id
+    )
+    SELECT id FROM category_tree`;
+
+// Error for a category reference that matches more than one category; carries the HTTP status
+class CategoryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CategoryError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Find a category by id, slug or (case-insensitive) name. Returns the row or null.
+// Names aren't unique in the tree, so a name shared by several categories throws a CategoryError.
+const resolveCategory = async (db, ref) => {
+    if (ref === undefined || ref === null || ref === '') {
+        return null;
+    }
+    const value = String(ref).trim();
+    const numericId = /^[0-9]+$/.test(value) ? parseInt(value) : null;
+    const categoryResult = await db.query(
+        `SELECT id, name, slug, parent_id FROM categories
+         WHERE id = $1 OR slug = $2 OR LOWER(name) = LOWER($2)
+         ORDER BY (id = $1) DESC NULLS LAST, (slug = $2) DESC`,
+        [numericId, value]
+    );
+    const [best, next] = categoryResult.rows;
+    if (best && next && best.id !== numericId && best.slug !== value) {
+        throw new CategoryError(`Several categories are named "${value}"; use the category's id or slug instead.`);
+    }
+    return best || null;
+};
+
+// True if `candidateId` is `categoryId` itself or one of its descendants (used to prevent cycles)
+const isSelfOrDescendant = async (db, categoryId, candidateId) => {
+    const result = await db.query(
+        `SELECT 1 FROM (${descendantIdsSql('$1')}) tree WHERE id = $2`,
+        [categoryId, candidateId]
+    );
+    return result.rows.length > 0;
+};
+
+// Turn flat rows (id, parent_id, sort_order, product_count, ...) into a nested tree.
+// total_product_count includes the products of every descendant.
+const buildCategoryTree = (rows) => {
+    const nodes = new Map(rows.map(row => [row.id, { ...row, product_count: parseInt(row.product_count) || 0, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+        (parent ? parent.children : roots).push(node);
+    }
+
+    const sortAndCount = (list) => {
+        list.sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name));
+        for (const node of list) {
+            node.total_product_count = node.product_count + sortAndCount(node.children);
+        }
+        return list.reduce((sum, node) => sum + node.total_product_count, 0);
+    };
+    sortAndCount(roots);
+
+    return roots;
+};
+
+module.exports = {
+    slugify,
+    descendantIdsSql,
+    CategoryError,
+    resolveCategory,
+    isSelfOrDescendant,
+    buildCategoryTree
+};
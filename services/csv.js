@@ -0,0 +1,122 @@
+// backend/services/csv.js
+// CSV (RFC 4180) helpers for report and product exports and the streaming product import.
+const { StringDecoder } = require('string_decoder');
+
+// Error for input that isn't valid CSV
+class CsvParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvParseError';
+        this.statusCode = 400;
+    }
+}
+
+// Quote a value when it contains a delimiter, quote or line break. Text starting with =, +, - or @ is
+// prefixed with ' so spreadsheet apps don't run it as a formula.
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line for the given values
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+// A whole CSV document: a header row of `columns`, then one line per row object
+const toCsv = (rows, columns) => [
+    toCsvLine(columns),
+    ...rows.map(row => toCsvLine(columns.map(column => row[column])))
+].join('\r\n') + '\r\n';
+
+// Parse CSV from a readable stream (e.g. an incoming request), yielding each record as an array of fields
+// as soon as it is complete, so a large file is never held in memory. Quoted fields may contain commas,
+// "" escapes and line breaks, and may span chunks. Blank lines and a leading byte order mark are skipped.
+async function* parseCsvStream(stream) {
+    const decoder = new StringDecoder('utf8'); // Don't split multi-byte characters at chunk boundaries
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let quotePending = false; // Saw a quote inside a quoted field: the closing quote, or the first half of ""
+    let skipLineFeed = false; // The previous record ended with \r, so a following \n belongs to it
+    let atStart = true;
+
+    const endRecord = () => {
+        record.push(field);
+        const completed = record;
+        field = '';
+        record = [];
+        return completed.length === 1 && completed[0] === '' ? null : completed;
+    };
+
+    // Stopping early (e.g. on a bad header) must not destroy the request, or the error response couldn't be sent
+    const chunks = typeof stream.iterator === 'function' ? stream.iterator({ destroyOnReturn: false }) : stream;
+    for await (const chunk of chunks) {
+        let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        if (atStart && text.length > 0) {
+            text = text.replace(/^\uFEFF/, '');
+            atStart = false;
+        }
+
+        for (const char of text) {
+            if (inQuotes) {
+                if (quotePending) {
+                    quotePending = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false; // That was the closing quote; handle this character below
+                } else {
+                    if (char === '"') {
+                        quotePending = true;
+                    } else {
+                        field += char;
+                    }
+                    continue;
+                }
+            }
+
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                skipLineFeed = char === '\r';
+                const completed = endRecord();
+                if (completed) {
+                    yield completed;
+                }
+            } else {
+                field += char;
+            }
+        }
+    }
+
+    if (inQuotes && !quotePending) {
+        throw new CsvParseError('Unterminated quoted field at the end of the CSV.');
+    }
+    const last = endRecord();
+    if (last) {
+        yield last;
+    }
+}
+
+module.exports = {
+    CsvParseError,
+    parseCsvStream,
+    escapeCsvValue,
+    toCsvLine,
+    toCsv
+};
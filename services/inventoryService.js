@@ -0,0 +1,66 @@
+// backend/services/inventoryService.js
+// Stock changes and the append-only stock_movements ledger. Every change to a product's or variant's
+// stock_quantity goes through here, so the ledger always adds up to the current stock.
+const STOCK_MOVEMENT_REASONS = ['sale', 'cancel', 'restock', 'adjustment', 'return'];
+
+// Products at or below this stock level show up in low-stock alerts unless they set their own threshold
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Error for a stock change that can't be applied; carries the HTTP status to respond with
+class InventoryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'InventoryError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Append a movement for a stock change that has already been written (e.g. a product update setting stock_quantity)
+const recordStockMovement = async (client, { productId, variantId = null, change, quantityAfter, reason, userId = null, orderId = null, note = null }) => {
+    if (!STOCK_MOVEMENT_REASONS.includes(reason)) {
+        throw new InventoryError(`Invalid stock movement reason. Must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}.`);
+    }
+    if (change === 0) {
+        return null;
+    }
+    const movement = await client.query(
+        `INSERT INTO stock_movements (product_id, variant_id, change, quantity_after, reason, user_id, order_id, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [productId, variantId, change, quantityAfter, reason, userId, orderId, note]
+    );
+    return movement.rows[0];
+};
+
+// Add `change` (negative to remove) to the stock of a product, or of one of its variants, and record it.
+// Must run inside a transaction. Returns the new stock quantity. Throws InventoryError when the product or
+// variant doesn't exist or the stock would go below zero.
+const changeStock = async (client, { productId, variantId = null, change, reason, userId = null, orderId = null, note = null }) => {
+    const updated = variantId
+        ? await client.query(
+            "UPDATE product_variants SET stock_quantity = stock_quantity + $1, updated_at = NOW() WHERE id = $2 AND product_id = $3 RETURNING stock_quantity",
+            [change, variantId, productId]
+        )
+        : await client.query(
+            "UPDATE products SET stock_quantity = stock_quantity + $1, updated_at = NOW() WHERE id = $2 RETURNING stock_quantity",
+            [change, productId]
+        );
+    if (updated.rows.length === 0) {
+        throw new InventoryError(variantId ? `Variant with ID ${variantId} not found for product ID ${productId}.` : `Product with ID ${productId} not found.`, 404);
+    }
+
+    const quantityAfter = parseInt(updated.rows[0].stock_quantity);
+    if (quantityAfter < 0) {
+        throw new InventoryError(`Stock cannot go below zero. Available: ${quantityAfter - change}, change: ${change}.`);
+    }
+    await recordStockMovement(client, { productId, variantId, change, quantityAfter, reason, userId, orderId, note });
+    return quantityAfter;
+};
+
+module.exports = {
+    STOCK_MOVEMENT_REASONS,
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    InventoryError,
+    recordStockMovement,
+    changeStock
+};
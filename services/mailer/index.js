@@ -0,0 +1,45 @@
+// backend/services/mailer/index.js
+// Pluggable mailer. Every implementation exposes sendMail({ to, subject, text, html }) returning a Promise.
+const createSmtpMailer = require('./smtpMailer');
+const createMemoryMailer = require('./memoryMailer');
+
+// Pick the transport from the environment: SMTP when SMTP_HOST is set, in-memory otherwise
+const createMailerFromEnv = () => {
+    const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'memory');
+
+    if (transport === 'smtp') {
+        return createSmtpMailer({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD,
+            from: process.env.MAIL_FROM || 'no-reply@example.com'
+        });
+    }
+
+    console.warn('SMTP is not configured. Emails will be kept in memory and not delivered.');
+    return createMemoryMailer();
+};
+
+let mailer = null;
+
+// Shared mailer instance, created on first use
+const getMailer = () => {
+    if (!mailer) {
+        mailer = createMailerFromEnv();
+    }
+    return mailer;
+};
+
+// Replace the shared mailer (e.g. with createMemoryMailer() in tests)
+const setMailer = (newMailer) => {
+    mailer = newMailer;
+};
+
+module.exports = {
+    getMailer,
+    setMailer,
+    createSmtpMailer,
+    createMemoryMailer
+};
@@ -0,0 +1,19 @@
+// backend/services/mailer/memoryMailer.js
+
+// Mailer that keeps messages in memory instead of sending them. Used in tests and local development.
+const createMemoryMailer = () => {
+    const sent = [];
+
+    return {
+        sent, // Inspect delivered messages, newest last
+        sendMail: async (message) => {
+            sent.push({ ...message, sentAt: new Date() });
+            return { messageId: `memory-${sent.length}` };
+        },
+        clear: () => {
+            sent.length = 0;
+        }
+    };
+};
+
+module.exports = createMemoryMailer;
@@ -0,0 +1,18 @@
+// backend/services/mailer/smtpMailer.js
+const nodemailer = require('nodemailer');
+
+// Mailer that delivers through an SMTP server
+const createSmtpMailer = ({ host, port, secure, user, pass, from }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        sendMail: ({ to, subject, text, html }) => transporter.sendMail({ from, to, subject, text, html })
+    };
+};
+
+module.exports = createSmtpMailer;
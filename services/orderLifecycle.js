@@ -0,0 +1,138 @@
+// backend/services/orderLifecycle.js
+// Order status state machine, status history and stock restoration.
+const { changeStock } = require('./inventoryService');
+const { releaseRedemption } = require('./promotionEngine');
+
+// Allowed status transitions. 'delivered' and 'cancelled' are final.
+const ORDER_TRANSITIONS = {
+    pending: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses in which a customer may still cancel their own order
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+// Error for a missing order or a transition the state machine doesn't allow
+class OrderStatusError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'OrderStatusError';
+        this.statusCode = statusCode;
+    }
+}
+
+const canTransition = (fromStatus, toStatus) => (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Append a row to the order's status history. changedBy is null for system changes.
+const recordStatusChange = (client, { orderId, fromStatus, toStatus, changedBy = null, reason = null }) => client.query(
+    "INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, reason) VALUES ($1, $2, $3, $4, $5)",
+    [orderId, fromStatus, toStatus, changedBy, reason]
+);
+
+// Put the order's items back into stock. Does nothing if that already happened for this order.
+// Units a refund already restocked are left out.
+// Must run inside a transaction.
+const restoreOrderStock = async (client, orderId, changedBy = null) => {
+    const marked = await client.query(
+        "UPDATE orders SET stock_restored_at = NOW() WHERE id = $1 AND stock_restored_at IS NULL RETURNING id",
+        [orderId]
+    );
+    if (marked.rows.length === 0) {
+        return false;
+    }
+
+    // Units already put back by a refund with restock (see refundService.js) aren't restored twice
+    const itemsResult = await client.query(
+        `SELECT oi.product_id, oi.variant_id,
+                oi.quantity - COALESCE((SELECT SUM(ri.quantity)
+                                        FROM refund_items ri
+                                        JOIN refunds r ON ri.refund_id = r.id
+                                        WHERE ri.order_item_id = oi.id AND r.restocked), 0) AS quantity
+         FROM order_items oi
+         WHERE oi.order_id = $1
+         ORDER BY oi.product_id, oi.variant_id`,
+        [orderId]
+    );
+    for (const item of itemsResult.rows) {
+        const quantity = parseInt(item.quantity);
+        if (quantity <= 0) {
+            continue;
+        }
+        // Variant items take their stock from the variant, not the product
+        await changeStock(client, {
+            productId: item.product_id,
+            variantId: item.variant_id,
+            change: quantity,
+            reason: 'cancel',
+            userId: changedBy,
+            orderId
+        });
+    }
+    return true;
+};
+
+// Move an order to a new status inside an open transaction: locks the order, validates the transition,
+// records history and restores stock (releasing any stock reservation and promotion redemption) when the order is cancelled.
+// Returns the updated order row.
+// `allowedFrom` optionally narrows the statuses the change may start from (e.g. customer cancellations).
+const transitionOrderStatus = async (client, { orderId, toStatus, changedBy = null, reason = null, allowedFrom = null }) => {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        throw new OrderStatusError('Invalid status provided.');
+    }
+
+    const orderResult = await client.query("SELECT id, status FROM orders WHERE id = $1 FOR UPDATE", [orderId]);
+    if (orderResult.rows.length === 0) {
+        throw new OrderStatusError('Order not found.', 404);
+    }
+
+    const fromStatus = orderResult.rows[0].status;
+    if (!canTransition(fromStatus, toStatus) || (allowedFrom && !allowedFrom.includes(fromStatus))) {
+        throw new OrderStatusError(`Cannot change order status from "${fromStatus}" to "${toStatus}".`, 409);
+    }
+
+    const updatedOrder = await client.query(
+        "UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
+        [toStatus, orderId]
+    );
+    await recordStatusChange(client, { orderId, fromStatus, toStatus, changedBy, reason });
+
+    if (toStatus === 'cancelled') {
+        await restoreOrderStock(client, orderId, changedBy);
+        await client.query(
+            "UPDATE orders SET reservation_status = 'released', reserved_until = NULL WHERE id = $1 AND reservation_status = 'active'",
+            [orderId]
+        );
+        await releaseRedemption(client, orderId);
+    }
+
+    return updatedOrder.rows[0];
+};
+
+// A failed payment cancels an order that hasn't started processing and returns its stock.
+// Must run inside a transaction. Returns true if the order was cancelled.
+const cancelOrderForFailedPayment = async (client, orderId, changedBy = null) => {
+    const orderResult = await client.query("SELECT status FROM orders WHERE id = $1 FOR UPDATE", [orderId]);
+    if (orderResult.rows.length === 0 || orderResult.rows[0].status !== 'pending') {
+        return false;
+    }
+
+    await transitionOrderStatus(client, { orderId, toStatus: 'cancelled', changedBy, reason: 'Payment failed' });
+    return true;
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    ORDER_STATUSES,
+    CUSTOMER_CANCELLABLE_STATUSES,
+    OrderStatusError,
+    canTransition,
+    recordStatusChange,
+    restoreOrderStock,
+    transitionOrderStatus,
+    cancelOrderForFailedPayment
+};
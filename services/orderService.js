@@ -0,0 +1,194 @@
+// backend/services/orderService.js
+// Order pricing and creation shared by POST /api/orders, the order quote and the cart checkout.
+const { recordStatusChange } = require('./orderLifecycle');
+const { applyPromotionCode, recordRedemption } = require('./promotionEngine');
+const { toMinorUnits } = require('./paymentService');
+const { calculateShipping } = require('./shippingCalculator');
+const { calculateTax } = require('./taxCalculator');
+const { formatAddress } = require('./addressService');
+const { changeStock } = require('./inventoryService');
+const { RESERVATION_MINUTES } = require('./reservationService');
+
+// Error for an order that can't be placed as requested (unknown product, not enough stock, ...); carries the HTTP status
+class OrderError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'OrderError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Lock the row that holds the stock for an order item and return its price, stock, category and weight.
+// Archived products can't be ordered and are reported as not found.
+// Items with a variantId take price (unless not overridden) and stock from the variant;
+// products that have variants can't be ordered without choosing one.
+const lockStockRow = async (client, item) => {
+    if (item.variantId) {
+        const variantResult = await client.query(
+            `SELECT COALESCE(v.price, p.price) AS price, v.stock_quantity, p.category_id, p.weight_kg
+             FROM product_variants v
+             JOIN products p ON v.product_id = p.id
+             WHERE v.id = $1 AND v.product_id = $2 AND p.archived_at IS NULL
+             FOR UPDATE OF v`, // FOR UPDATE locks the variant row
+            [item.variantId, item.productId]
+        );
+        if (variantResult.rows.length === 0) {
+            throw new OrderError(`Variant with ID ${item.variantId} not found for product ID ${item.productId}.`, 404);
+        }
+        return variantResult.rows[0];
+    }
+
+    const productResult = await client.query(
+        `SELECT price, stock_quantity, category_id, weight_kg, EXISTS (SELECT 1 FROM product_variants WHERE product_id = $1) AS has_variants
+         FROM products WHERE id = $1 AND archived_at IS NULL FOR UPDATE`, // FOR UPDATE locks the row
+        [item.productId]
+    );
+    if (productResult.rows.length === 0) {
+        throw new OrderError(`Product with ID ${item.productId} not found.`, 404);
+    }
+    if (productResult.rows[0].has_variants) {
+        throw new OrderError(`Product with ID ${item.productId} requires a variant to be selected.`);
+    }
+    return productResult.rows[0];
+};
+
+// Work out the lines and totals of an order without writing anything.
+// `items` is an array of { productId, variantId?, quantity } and `address` a normalized address (see addressService).
+// An optional `promotionCode` is validated and its discount spread over the lines. Inside a transaction the
+// product (or variant) rows stay locked until it ends. Throws OrderError on missing products or insufficient stock, an unusable
+// code (PromotionError) or an address we can't ship to (ShippingError).
+const priceOrder = async (db, { userId, items, address, promotionCode }) => {
+    const lines = [];
+    const requestedByStockRow = new Map(); // The same product (or variant) may be listed on several lines
+
+    for (const item of items) {
+        const stockRow = await lockStockRow(db, item);
+        // Ensure price and stock are parsed as numbers from DB strings
+        const productPrice = parseFloat(stockRow.price);
+        const productStock = parseInt(stockRow.stock_quantity);
+        const itemLabel = item.variantId ? `variant ID ${item.variantId}` : `product ID ${item.productId}`;
+
+        const stockRowKey = `${item.productId}:${item.variantId || ''}`;
+        const requested = (requestedByStockRow.get(stockRowKey) || 0) + item.quantity;
+        requestedByStockRow.set(stockRowKey, requested);
+        if (productStock < requested) {
+            throw new OrderError(`Not enough stock for ${itemLabel}. Available: ${productStock}, Requested: ${requested}.`);
+        }
+
+        lines.push({
+            productId: item.productId,
+            variantId: item.variantId || null,
+            categoryId: stockRow.category_id,
+            quantity: item.quantity,
+            stock: productStock,
+            weightKg: parseFloat(stockRow.weight_kg) || 0,
+            priceAtPurchase: productPrice, // Use the parsed number
+            discountAmount: 0
+        });
+    }
+
+    // Apply the promotion code, if any, and keep the per-line share of the discount
+    let promotion = null;
+    let discountAmount = 0;
+    let freeShipping = false;
+    if (promotionCode) {
+        const applied = await applyPromotionCode(db, {
+            code: promotionCode,
+            userId,
+            lines: lines.map(line => ({
+                productId: parseInt(line.productId),
+                categoryId: line.categoryId,
+                unitPrice: line.priceAtPurchase,
+                quantity: line.quantity
+            }))
+        });
+        promotion = applied.promotion;
+        discountAmount = applied.discountAmount;
+        freeShipping = applied.freeShipping;
+        applied.lineDiscounts.forEach((lineDiscount, index) => { lines[index].discountAmount = lineDiscount; });
+    }
+
+    // Totals are added up in cents to avoid floating point drift
+    const subtotalCents = lines.reduce((sum, line) => sum + toMinorUnits(line.priceAtPurchase) * line.quantity, 0);
+    const discountedSubtotal = (subtotalCents - toMinorUnits(discountAmount)) / 100;
+    const { shippingAmount, zone } = calculateShipping({
+        country: address.country,
+        subtotal: discountedSubtotal,
+        weightKg: lines.reduce((sum, line) => sum + line.weightKg * line.quantity, 0),
+        freeShipping
+    });
+    const { taxAmount, taxRate } = calculateTax({ address, subtotal: discountedSubtotal, shippingAmount });
+    const totalCents = toMinorUnits(discountedSubtotal) + toMinorUnits(shippingAmount) + toMinorUnits(taxAmount);
+
+    return {
+        lines,
+        promotion,
+        freeShipping,
+        shippingZone: zone,
+        taxRate,
+        subtotal: subtotalCents / 100,
+        discountAmount,
+        shippingAmount,
+        taxAmount,
+        totalAmount: totalCents / 100
+    };
+};
+
+// Create an order inside an already open transaction.
+// Prices the order (see priceOrder), inserts the order, its items and any promotion redemption, and takes the stock
+// (recorded as 'sale' stock movements). The stock is held as a reservation until the order is paid or the
+// reservation expires (see reservationService).
+// Throws like priceOrder, so the caller is expected to ROLLBACK.
+const createOrderInTransaction = async (client, { userId, address, items, promotionCode }) => {
+    const pricing = await priceOrder(client, { userId, items, address, promotionCode });
+    const { lines, promotion } = pricing;
+
+    // Create the order in the orders table
+    const newOrder = await client.query(
+        `INSERT INTO orders (user_id, total_amount, subtotal, discount_amount, shipping_amount, tax_amount, shipping_address,
+                             shipping_address_details, payment_status, promotion_code, free_shipping, reservation_status, reserved_until)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', $9, $10, 'active', NOW() + make_interval(mins => $11))
+         RETURNING id, order_date, reserved_until`,
+        [
+            userId, pricing.totalAmount, pricing.subtotal, pricing.discountAmount, pricing.shippingAmount, pricing.taxAmount,
+            formatAddress(address), address, promotion ? promotion.code : null, pricing.freeShipping, RESERVATION_MINUTES
+        ]
+    );
+    const orderId = newOrder.rows[0].id;
+    await recordStatusChange(client, { orderId, fromStatus: null, toStatus: 'pending', changedBy: userId, reason: 'Order placed' });
+    if (promotion) {
+        await recordRedemption(client, { promotion, userId, orderId, discountAmount: pricing.discountAmount });
+    }
+
+    // Insert each item into the order_items table and take its stock; the rows are locked by priceOrder
+    for (const line of lines) {
+        await client.query(
+            "INSERT INTO order_items (order_id, product_id, variant_id, quantity, price_at_purchase, discount_amount) VALUES ($1, $2, $3, $4, $5, $6)",
+            [orderId, line.productId, line.variantId, line.quantity, line.priceAtPurchase, line.discountAmount]
+        );
+        await changeStock(client, {
+            productId: line.productId,
+            variantId: line.variantId,
+            change: -line.quantity,
+            reason: 'sale',
+            userId,
+            orderId
+        });
+    }
+
+    return {
+        orderId,
+        reservedUntil: newOrder.rows[0].reserved_until,
+        subtotal: pricing.subtotal,
+        discountAmount: pricing.discountAmount,
+        shippingAmount: pricing.shippingAmount,
+        taxAmount: pricing.taxAmount,
+        totalAmount: pricing.totalAmount
+    };
+};
+
+module.exports = {
+    OrderError,
+    priceOrder,
+    createOrderInTransaction
+};
@@ -0,0 +1,80 @@
+// backend/services/paymentService.js
+// Stripe payment helpers. The Stripe client is always passed in so these functions
+// can be exercised against a stubbed client without touching the real API.
+
+const CURRENCY = (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+
+// PaymentIntent statuses that can still be confirmed by the frontend
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'processing'];
+
+// Error for a payment that can't go ahead in the order's current state; carries the HTTP status
+class PaymentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Stripe expects amounts in the smallest currency unit (e.g. cents)
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Return a PaymentIntent for the order, re-using the one already stored on it when possible.
+// `order` needs id, user_id, total_amount and stripe_payment_intent_id.
+const getOrCreatePaymentIntent = async (stripe, order) => {
+    const amount = toMinorUnits(order.total_amount);
+
+    if (order.stripe_payment_intent_id) {
+        const existingIntent = await stripe.paymentIntents.retrieve(order.stripe_payment_intent_id);
+
+        // Paid in Stripe, but the payment_intent.succeeded webhook hasn't updated the order yet
+        if (existingIntent.status === 'succeeded') {
+            throw new PaymentError(`Order ${order.id} has already been paid.`, 409);
+        }
+
+        if (REUSABLE_INTENT_STATUSES.includes(existingIntent.status)) {
+            // Keep the intent in sync if the order total changed since it was created
+            if (existingIntent.amount !== amount && existingIntent.status === 'requires_payment_method') {
+                return stripe.paymentIntents.update(existingIntent.id, { amount });
+            }
+            return existingIntent;
+        }
+        // Anything else (e.g. 'canceled') cannot be confirmed any more, so fall through and create a new one
+    }
+
+    // The idempotency key makes retries of the same checkout return the same intent.
+    // A previously cancelled intent is part of the key so a fresh one can be created after it.
+    const idempotencyKey = ['order', order.id, amount, CURRENCY, order.stripe_payment_intent_id]
+        .filter(Boolean)
+        .join('-');
+
+    return stripe.paymentIntents.create(
+        {
+            amount,
+            currency: CURRENCY,
+            automatic_payment_methods: { enabled: true },
+            metadata: { orderId: String(order.id), userId: String(order.user_id) }
+        },
+        { idempotencyKey }
+    );
+};
+
+// Refund part or all of a PaymentIntent. `amount` is in major units (e.g. dollars).
+// The caller supplies the idempotency key so a retried refund request can't refund twice.
+const createRefund = (stripe, { paymentIntentId, amount, orderId, idempotencyKey }) => stripe.refunds.create(
+    {
+        payment_intent: paymentIntentId,
+        amount: toMinorUnits(amount),
+        reason: 'requested_by_customer',
+        metadata: { orderId: String(orderId) }
+    },
+    { idempotencyKey }
+);
+
+module.exports = {
+    CURRENCY,
+    PaymentError,
+    toMinorUnits,
+    getOrCreatePaymentIntent,
+    createRefund
+};
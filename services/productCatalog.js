@@ -0,0 +1,294 @@
+// backend/services/productCatalog.js
+// Product validation shared by the create route and the CSV import, and the bulk CSV import/export itself.
+// Import rows are matched to existing products by SKU, or by name (case-insensitive) when the row has no SKU.
+const { CategoryError, resolveCategory } = require('./categoryTree');
+const { recordStockMovement } = require('./inventoryService');
+const { queueBackInStockNotifications } = require('./stockNotificationService');
+const { toCsvLine } = require('./csv');
+const { recordAudit } = require('./auditLog');
+
+// Columns of the CSV import; the export adds the product id first (ignored on import)
+const PRODUCT_CSV_COLUMNS = ['sku', 'name', 'description', 'price', 'category', 'stock_quantity', 'image_url', 'weight_kg', 'low_stock_threshold'];
+const PRODUCT_EXPORT_COLUMNS = ['id', ...PRODUCT_CSV_COLUMNS];
+const REQUIRED_CSV_COLUMNS = ['name', 'price', 'category', 'stock_quantity'];
+const NUMERIC_CSV_COLUMNS = ['price', 'stock_quantity', 'weight_kg', 'low_stock_threshold'];
+
+const IMPORT_MODES = ['transaction', 'batch'];
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_PRODUCT_IMPORT_ROWS) || 10000;
+const EXPORT_PAGE_SIZE = 500;
+
+// Error for an import that can't go ahead, or a row that can't be imported; carries the HTTP status
+class ProductImportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ProductImportError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Helper function to validate the fields of a new product. Returns an error message or null.
+const validateProduct = ({ name, price, categoryRef, stock_quantity, weight_kg = 0, low_stock_threshold = null }) => {
+    if (!name || !price || !categoryRef || stock_quantity === undefined || stock_quantity === null) {
+        return 'Name, price, category, and stock quantity are required.';
+    }
+    if (isNaN(Number(price)) || isNaN(Number(stock_quantity)) || isNaN(Number(weight_kg))) {
+        return 'Price, stock quantity and weight must be numbers.';
+    }
+    if (price < 0 || stock_quantity < 0 || weight_kg < 0) {
+        return 'Price, stock quantity and weight cannot be negative.';
+    }
+    if (!Number.isInteger(Number(stock_quantity)) || (low_stock_threshold !== null && (!Number.isInteger(low_stock_threshold) || low_stock_threshold < 0))) {
+        return 'Stock quantity and low stock threshold must be whole numbers.';
+    }
+    return null;
+};
+
+// Check the CSV header row: known columns only, the required ones present, no duplicates
+const validateCsvHeader = (header) => {
+    const columns = header.map(column => column.trim().toLowerCase());
+    const unknown = columns.filter(column => !PRODUCT_EXPORT_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+        throw new ProductImportError(`Unknown CSV columns: ${unknown.join(', ')}. Allowed: ${PRODUCT_EXPORT_COLUMNS.join(', ')}.`);
+    }
+    const missing = REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new ProductImportError(`Missing required CSV columns: ${missing.join(', ')}.`);
+    }
+    if (new Set(columns).size !== columns.length) {
+        throw new ProductImportError('CSV columns must not repeat.');
+    }
+    return columns;
+};
+
+// Turn a CSV record into product fields. Empty cells are left out; numeric cells become numbers, or stay text
+// when they aren't numbers so validation rejects them. The ' our export puts in front of formula-like text is removed again.
+const toProductFields = (columns, record) => {
+    const fields = {};
+    columns.forEach((column, index) => {
+        const value = (record[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+        if (value === '' || column === 'id') {
+            return;
+        }
+        fields[column] = NUMERIC_CSV_COLUMNS.includes(column) && !isNaN(Number(value)) ? Number(value) : value;
+    });
+    return fields;
+};
+
+// Create or update the product of one import row inside an open transaction, on behalf of the user of `req`,
+// and audit it with the row. Returns { action: 'created' | 'updated', product, notifiedSubscribers }.
+const upsertProduct = async (client, fields, req) => {
+    const userId = req.user.userId;
+    const productCategory = await resolveCategory(client, fields.category);
+    if (!productCategory) {
+        throw new ProductImportError(`Category "${fields.category}" does not exist.`);
+    }
+
+    // A SKU match wins; otherwise a live product of the same name that has no SKU yet (it gets the row's SKU).
+    // Archived products are never updated by an import: they have to be restored first.
+    let existing = { rows: [] };
+    if (fields.sku) {
+        existing = await client.query("SELECT * FROM products WHERE sku = $1 FOR UPDATE", [fields.sku]);
+        if (existing.rows.length > 0 && existing.rows[0].archived_at) {
+            throw new ProductImportError(`Product with SKU "${fields.sku}" is archived; restore it first.`);
+        }
+    }
+    if (existing.rows.length === 0) {
+        existing = await client.query(
+            `SELECT * FROM products WHERE LOWER(name) = LOWER($1) AND archived_at IS NULL ${fields.sku ? 'AND sku IS NULL' : ''} FOR UPDATE`,
+            [fields.name]
+        );
+        if (existing.rows.length > 1) {
+            throw new ProductImportError(`Several products are named "${fields.name}"; add a SKU to tell them apart.`);
+        }
+    }
+
+    const stockQuantity = fields.stock_quantity;
+    if (existing.rows.length === 0) {
+        const newProduct = await client.query(
+            `INSERT INTO products (sku, name, description, price, category, category_id, stock_quantity, image_url, weight_kg, low_stock_threshold)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [fields.sku || null, fields.name, fields.description || null, fields.price, productCategory.name, productCategory.id,
+                stockQuantity, fields.image_url || null, fields.weight_kg || 0, fields.low_stock_threshold ?? null]
+        );
+        await recordStockMovement(client, {
+            productId: newProduct.rows[0].id,
+            change: stockQuantity,
+            quantityAfter: stockQuantity,
+            reason: 'restock',
+            userId,
+            note: 'Initial stock (CSV import)'
+        });
+        await recordAudit(client, req, { action: 'product.import', entityType: 'product', entityId: newProduct.rows[0].id, after: newProduct.rows[0] });
+        return { action: 'created', product: newProduct.rows[0], notifiedSubscribers: [] };
+    }
+
+    // Like PUT /api/products/:id: empty weight, threshold and SKU cells keep the current values
+    const { id, stock_quantity: previous } = existing.rows[0];
+    const updatedProduct = await client.query(
+        `UPDATE products
+         SET sku = COALESCE($1, sku), name = $2, description = $3, price = $4, category = $5, category_id = $6, stock_quantity = $7,
+             image_url = $8, weight_kg = COALESCE($9, weight_kg), low_stock_threshold = COALESCE($10, low_stock_threshold), updated_at = NOW()
+         WHERE id = $11 RETURNING *`,
+        [fields.sku || null, fields.name, fields.description || null, fields.price, productCategory.name, productCategory.id,
+            stockQuantity, fields.image_url || null, fields.weight_kg ?? null, fields.low_stock_threshold ?? null, id]
+    );
+    const previousStock = parseInt(previous);
+    await recordStockMovement(client, {
+        productId: id,
+        change: stockQuantity - previousStock,
+        quantityAfter: stockQuantity,
+        reason: 'adjustment',
+        userId,
+        note: 'CSV import'
+    });
+
+    let notifiedSubscribers = [];
+    if (previousStock <= 0 && stockQuantity > 0) {
+        notifiedSubscribers = await queueBackInStockNotifications(client, { productId: id, senderId: userId });
+    }
+    await recordAudit(client, req, { action: 'product.import', entityType: 'product', entityId: id, before: existing.rows[0], after: updatedProduct.rows[0] });
+    return { action: 'updated', product: updatedProduct.rows[0], notifiedSubscribers };
+};
+
+// Row-level message for a database error, without exposing the raw error. Other errors abort the import.
+const rowErrorMessage = (error) => {
+    if (error instanceof ProductImportError || error instanceof CategoryError) {
+        return error.message;
+    }
+    if (error.code === '23505') { // PostgreSQL unique violation
+        return 'SKU is already used by another product.';
+    }
+    if (error.code === '23514' || error.code === '22003') { // Check violation / numeric value out of range
+        return 'A value is out of the allowed range.';
+    }
+    return null;
+};
+
+// Import products from CSV records (the first record is the header) with an already connected client, on behalf
+// of the user of `req`. Each imported row is audited in the same transaction as the row itself.
+// mode 'transaction': all rows in one transaction, committed only if every row succeeds.
+// mode 'batch': committed every `batchSize` rows; failing rows are skipped and reported.
+// dryRun validates and writes every row the same way, then rolls everything back.
+// `onCommit(subscribers)` is called after each commit with the back-in-stock subscribers to email.
+// Returns { processed, created, updated, failed, committed, errors: [{ row, sku, name, message }] }, where
+// `row` is the line of the record in the file counting the header as row 1.
+const importProducts = async (client, records, { req, dryRun = false, mode = 'transaction', batchSize = 500, onCommit = async () => {} }) => {
+    const summary = { processed: 0, created: 0, updated: 0, failed: 0, committed: 0, errors: [] };
+    let columns = null;
+    let rowNumber = 1;
+    let rowsInBatch = 0;
+    let batchCreated = 0;
+    let batchUpdated = 0;
+    let batchSubscribers = [];
+    let limitReached = false;
+
+    const finishBatch = async (commit) => {
+        if (commit) {
+            await client.query('COMMIT');
+            summary.committed += batchCreated + batchUpdated;
+            await onCommit(batchSubscribers);
+        } else {
+            await client.query('ROLLBACK');
+        }
+        rowsInBatch = 0;
+        batchCreated = 0;
+        batchUpdated = 0;
+        batchSubscribers = [];
+    };
+
+    await client.query('BEGIN');
+    try {
+        for await (const record of records) {
+            if (!columns) {
+                columns = validateCsvHeader(record);
+                continue;
+            }
+            rowNumber++;
+            if (summary.processed >= MAX_IMPORT_ROWS) {
+                if (!limitReached) {
+                    limitReached = true;
+                    summary.failed++;
+                    summary.errors.push({ row: rowNumber, sku: null, name: null, message: `Imports are limited to ${MAX_IMPORT_ROWS} rows; this and later rows were not imported.` });
+                }
+                continue; // Keep reading so the request is fully consumed
+            }
+            summary.processed++;
+
+            const fields = toProductFields(columns, record);
+            const validationError = validateProduct({ ...fields, categoryRef: fields.category });
+            if (validationError) {
+                summary.failed++;
+                summary.errors.push({ row: rowNumber, sku: fields.sku || null, name: fields.name || null, message: validationError });
+            } else {
+                // A savepoint per row, so one failing row doesn't abort the rest of the transaction
+                await client.query('SAVEPOINT import_row');
+                try {
+                    const { action, notifiedSubscribers } = await upsertProduct(client, fields, req);
+                    await client.query('RELEASE SAVEPOINT import_row');
+                    if (action === 'created') {
+                        batchCreated++;
+                        summary.created++;
+                    } else {
+                        batchUpdated++;
+                        summary.updated++;
+                    }
+                    batchSubscribers.push(...notifiedSubscribers);
+                } catch (error) {
+                    const message = rowErrorMessage(error);
+                    if (!message) {
+                        throw error;
+                    }
+                    await client.query('ROLLBACK TO SAVEPOINT import_row');
+                    summary.failed++;
+                    summary.errors.push({ row: rowNumber, sku: fields.sku || null, name: fields.name, message });
+                }
+            }
+
+            rowsInBatch++;
+            if (mode === 'batch' && rowsInBatch >= batchSize) {
+                await finishBatch(!dryRun);
+                await client.query('BEGIN');
+            }
+        }
+
+        if (!columns) {
+            throw new ProductImportError('The CSV is empty; expected a header row.');
+        }
+        await finishBatch(!dryRun && (mode === 'batch' || summary.failed === 0));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+
+    return summary;
+};
+
+// Stream the catalog as CSV with the current stock, writing it `EXPORT_PAGE_SIZE` products at a time
+const exportProductsCsv = async (db, write) => {
+    write(toCsvLine(PRODUCT_EXPORT_COLUMNS) + '\r\n');
+
+    let lastId = 0;
+    for (;;) {
+        const page = await db.query(
+            `SELECT id, sku, name, description, price, category, stock_quantity, image_url, weight_kg, low_stock_threshold
+             FROM products WHERE id > $1 ORDER BY id ASC LIMIT $2`,
+            [lastId, EXPORT_PAGE_SIZE]
+        );
+        if (page.rows.length > 0) {
+            write(page.rows.map(product => toCsvLine(PRODUCT_EXPORT_COLUMNS.map(column => product[column]))).join('\r\n') + '\r\n');
+        }
+        if (page.rows.length < EXPORT_PAGE_SIZE) {
+            return;
+        }
+        lastId = page.rows[page.rows.length - 1].id;
+    }
+};
+
+module.exports = {
+    PRODUCT_CSV_COLUMNS,
+    IMPORT_MODES,
+    ProductImportError,
+    validateProduct,
+    importProducts,
+    exportProductsCsv
+};
@@ -0,0 +1,171 @@
+// backend/services/productSearch.js
+// Builds the SQL for GET /api/products: keyword search, filters, sorting and cursor pagination.
+const { parseSpecFilters, buildSpecFilterConditions } = require('./productSpecs');
+const { descendantIdsSql } = require('./categoryTree');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sort values as PostgreSQL prints them, e.g. 2024-05-01 12:30:00.123 and 19.99 or 6.07927e-05
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)?$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+
+// Sort options exposed to clients. `cast` is used to turn the cursor value back into the column type,
+// and a cursor value must match `pattern` before it is cast.
+const SORT_OPTIONS = {
+    newest: { expression: 'p.created_at', direction: 'DESC', cast: 'timestamptz', pattern: TIMESTAMP_PATTERN },
+    price_asc: { expression: 'p.price', direction: 'ASC', cast: 'numeric', pattern: NUMBER_PATTERN },
+    price_desc: { expression: 'p.price', direction: 'DESC', cast: 'numeric', pattern: NUMBER_PATTERN },
+    relevance: { expression: "ts_rank(p.search_vector, websearch_to_tsquery('english', $1))", direction: 'DESC', cast: 'real', pattern: NUMBER_PATTERN }
+};
+
+// Cursors are opaque to clients: base64url encoded JSON of the sort, the last row's sort value and its id
+const encodeCursor = (sort, sortValue, id) => Buffer.from(JSON.stringify({ s: sort, v: sortValue, id })).toString('base64url');
+
+// A cursor only continues the sort it was issued for
+const decodeCursor = (cursor, sort) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (decoded && decoded.s === sort && typeof decoded.v === 'string' && SORT_OPTIONS[sort].pattern.test(decoded.v) &&
+            Number.isInteger(decoded.id)) {
+            return decoded;
+        }
+    } catch (err) {
+        // Fall through to the invalid cursor result below
+    }
+    return null;
+};
+
+const parseNumberParam = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : NaN;
+};
+
+// Validate and normalise the raw query string. Returns { error } or { params }.
+const parseProductListParams = (query) => {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    const category = typeof query.category === 'string' ? query.category.trim() : '';
+    const minPrice = parseNumberParam(query.minPrice);
+    const maxPrice = parseNumberParam(query.maxPrice);
+    const inStock = query.inStock === 'true' || query.inStock === '1';
+    const sort = query.sort || (q ? 'relevance' : 'newest');
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice) || minPrice < 0 || maxPrice < 0) {
+        return { error: 'minPrice and maxPrice must be non-negative numbers.' };
+    }
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        return { error: 'minPrice cannot be greater than maxPrice.' };
+    }
+    if (!SORT_OPTIONS[sort]) {
+        return { error: `Invalid sort option. Must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}.` };
+    }
+    if (sort === 'relevance' && !q) {
+        return { error: 'Sorting by relevance requires a search query (q).' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}.` };
+    }
+
+    const { error: specError, filters: specFilters } = parseSpecFilters(query);
+    if (specError) {
+        return { error: specError };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor, sort);
+        if (!cursor) {
+            return { error: 'Invalid cursor.' };
+        }
+    }
+
+    return { params: { q, category, minPrice, maxPrice, inStock, specFilters, sort, limit, cursor } };
+};
+
+// Build the list and count queries from parsed params.
+// The search term, when present, is always $1 so the relevance expression can reference it.
+const buildProductListQuery = (params) => {
+    const values = [];
+    const conditions = ['p.archived_at IS NULL']; // Archived products are only listed for staff, see GET /api/products/archived
+
+    if (params.q) {
+        values.push(params.q);
+        conditions.push("p.search_vector @@ websearch_to_tsquery('english', $1)");
+    }
+    if (params.category) {
+        // Matches the category (by id, slug or name) and all of its subcategories. Like resolveCategory, a name
+        // shared by several categories matches none of them.
+        values.push(params.category);
+        const categoryParam = `$${values.length}`;
+        const rootCategory = `(SELECT id FROM categories
+                               WHERE id::text = ${categoryParam} OR slug = ${categoryParam}
+                                  OR (LOWER(name) = LOWER(${categoryParam})
+                                      AND (SELECT COUNT(*) FROM categories named WHERE LOWER(named.name) = LOWER(${categoryParam})) = 1)
+                               ORDER BY (id::text = ${categoryParam}) DESC, (slug = ${categoryParam}) DESC
+                               LIMIT 1)`;
+        conditions.push(`p.category_id IN (${descendantIdsSql(rootCategory)})`);
+    }
+    if (params.minPrice !== undefined) {
+        values.push(params.minPrice);
+        conditions.push(`p.price >= $${values.length}`);
+    }
+    if (params.maxPrice !== undefined) {
+        values.push(params.maxPrice);
+        conditions.push(`p.price <= $${values.length}`);
+    }
+    if (params.inStock) {
+        // Products with variants are in stock when any of their variants is
+        conditions.push('(p.stock_quantity > 0 OR EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.stock_quantity > 0))');
+    }
+
+    if (params.specFilters && params.specFilters.length > 0) {
+        conditions.push(...buildSpecFilterConditions(params.specFilters, values));
+    }
+
+    // The count ignores the cursor so it always reports the full number of matches
+    const countQuery = {
+        text: `SELECT COUNT(*) AS total FROM products p WHERE ${conditions.join(' AND ')}`,
+        values: [...values]
+    };
+
+    const sort = SORT_OPTIONS[params.sort];
+    const comparator = sort.direction === 'DESC' ? '<' : '>';
+    if (params.cursor) {
+        values.push(params.cursor.v, params.cursor.id);
+        conditions.push(
+            `(${sort.expression}, p.id) ${comparator} ($${values.length - 1}::${sort.cast}, $${values.length}::integer)`
+        );
+    }
+    values.push(params.limit + 1); // Fetch one extra row to know whether there is a next page
+
+    const listQuery = {
+        text: `SELECT p.*, (${sort.expression})::text AS sort_value
+               FROM products p
+               WHERE ${conditions.join(' AND ')}
+               ORDER BY ${sort.expression} ${sort.direction}, p.id ${sort.direction}
+               LIMIT $${values.length}`,
+        values
+    };
+
+    return { listQuery, countQuery };
+};
+
+// Split the extra look-ahead row off and compute the next cursor
+const paginateRows = (rows, limit, sort) => {
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const lastRow = pageRows[pageRows.length - 1];
+    const nextCursor = hasMore && lastRow ? encodeCursor(sort, lastRow.sort_value, lastRow.id) : null;
+
+    const products = pageRows.map(({ sort_value, ...product }) => product);
+    return { products, nextCursor };
+};
+
+module.exports = {
+    SORT_OPTIONS,
+    parseProductListParams,
+    buildProductListQuery,
+    paginateRows
+};
@@ -0,0 +1,182 @@
+// backend/services/productSpecs.js
+// Typed product specifications: reading, writing, listing filters and side-by-side comparison.
+
+const SPEC_DATA_TYPES = ['number', 'text', 'boolean'];
+
+// Error for spec values that don't match their attribute definitions
+class SpecValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SpecValidationError';
+    }
+}
+
+// Pick the value out of the column that matches the attribute's data type
+const specValue = (row) => {
+    if (row.data_type === 'number') {
+        return row.value_number === null ? null : parseFloat(row.value_number);
+    }
+    if (row.data_type === 'boolean') {
+        return row.value_boolean;
+    }
+    return row.value_text;
+};
+
+// Load the specs of several products. Returns a Map of productId -> [{ key, label, unit, data_type, value }].
+const loadProductSpecs = async (db, productIds) => {
+    const specsResult = await db.query(
+        `SELECT ps.product_id, sa.key, sa.label, sa.unit, sa.data_type, sa.sort_order,
+                ps.value_number, ps.value_text, ps.value_boolean
+         FROM product_specs ps
+         JOIN spec_attributes sa ON ps.attribute_id = sa.id
+         WHERE ps.product_id = ANY($1::integer[])
+         ORDER BY sa.sort_order ASC, sa.label ASC`,
+        [productIds]
+    );
+
+    const specsByProduct = new Map(productIds.map(id => [Number(id), []]));
+    for (const row of specsResult.rows) {
+        specsByProduct.get(row.product_id).push({
+            key: row.key,
+            label: row.label,
+            unit: row.unit,
+            data_type: row.data_type,
+            value: specValue(row)
+        });
+    }
+    return specsByProduct;
+};
+
+// Replace a product's specs inside an open transaction. `specs` is an object of { key: value } and every key
+// must be an attribute defined for the product's category (by id). A null value removes that spec.
+const setProductSpecs = async (client, productId, categoryId, specs) => {
+    const attributesResult = await client.query(
+        "SELECT id, key, data_type, category FROM spec_attributes WHERE category_id = $1",
+        [categoryId]
+    );
+    const attributesByKey = new Map(attributesResult.rows.map(attribute => [attribute.key, attribute]));
+
+    const values = [];
+    for (const [key, value] of Object.entries(specs)) {
+        const attribute = attributesByKey.get(key);
+        if (!attribute) {
+            throw new SpecValidationError(`Unknown specification "${key}" for this product's category.`);
+        }
+        if (value === null) {
+            continue;
+        }
+        if ((attribute.data_type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) ||
+            (attribute.data_type === 'boolean' && typeof value !== 'boolean') ||
+            (attribute.data_type === 'text' && typeof value !== 'string')) {
+            throw new SpecValidationError(`Specification "${key}" must be a ${attribute.data_type}.`);
+        }
+        values.push({ attribute, value });
+    }
+
+    await client.query("DELETE FROM product_specs WHERE product_id = $1", [productId]);
+    for (const { attribute, value } of values) {
+        await client.query(
+            "INSERT INTO product_specs (product_id, attribute_id, value_number, value_text, value_boolean) VALUES ($1, $2, $3, $4, $5)",
+            [
+                productId,
+                attribute.id,
+                attribute.data_type === 'number' ? value : null,
+                attribute.data_type === 'text' ? value : null,
+                attribute.data_type === 'boolean' ? value : null
+            ]
+        );
+    }
+};
+
+// Parse spec filters from the listing query string. Supported forms:
+//   spec.ram=8..16  (numeric range, either bound optional: spec.ram=8.. or spec.ram=..16)
+//   spec.nfc=true   (boolean)
+//   spec.color=Black (text, case-insensitive)
+// Returns { error } or { filters: [{ key, type, min, max, value }] }.
+const parseSpecFilters = (query) => {
+    const filters = [];
+
+    for (const [param, rawValue] of Object.entries(query)) {
+        const match = /^spec\.([a-z0-9_]+)$/i.exec(param);
+        if (!match || typeof rawValue !== 'string' || rawValue === '') {
+            continue;
+        }
+        const key = match[1];
+
+        if (rawValue.includes('..')) {
+            const [minRaw, maxRaw] = rawValue.split('..');
+            const min = minRaw === '' ? undefined : Number(minRaw);
+            const max = maxRaw === '' ? undefined : Number(maxRaw);
+            if ((min === undefined && max === undefined) || Number.isNaN(min) || Number.isNaN(max)) {
+                return { error: `Invalid range for spec.${key}. Use min..max, min.. or ..max.` };
+            }
+            filters.push({ key, type: 'range', min, max });
+        } else if (rawValue === 'true' || rawValue === 'false') {
+            filters.push({ key, type: 'boolean', value: rawValue === 'true' });
+        } else {
+            filters.push({ key, type: 'text', value: rawValue });
+        }
+    }
+
+    return { filters };
+};
+
+// Turn parsed spec filters into SQL conditions on products aliased as p. Pushes parameters onto `values`.
+const buildSpecFilterConditions = (filters, values) => filters.map(filter => {
+    values.push(filter.key);
+    const keyParam = `$${values.length}`;
+    const valueConditions = [];
+
+    if (filter.type === 'range') {
+        if (filter.min !== undefined) {
+            values.push(filter.min);
+            valueConditions.push(`ps.value_number >= $${values.length}`);
+        }
+        if (filter.max !== undefined) {
+            values.push(filter.max);
+            valueConditions.push(`ps.value_number <= $${values.length}`);
+        }
+    } else if (filter.type === 'boolean') {
+        values.push(filter.value);
+        valueConditions.push(`ps.value_boolean = $${values.length}`);
+    } else {
+        values.push(filter.value);
+        valueConditions.push(`LOWER(ps.value_text) = LOWER($${values.length})`);
+    }
+
+    return `EXISTS (SELECT 1 FROM product_specs ps JOIN spec_attributes sa ON ps.attribute_id = sa.id
+                    WHERE ps.product_id = p.id AND sa.key = ${keyParam} AND ${valueConditions.join(' AND ')})`;
+});
+
+// Build an aligned comparison matrix: one row per spec key present on any product,
+// with the values in the same order as `products` (null where a product lacks that spec).
+const buildComparisonMatrix = (products, specsByProduct) => {
+    const rowsByKey = new Map();
+
+    products.forEach((product, index) => {
+        for (const spec of specsByProduct.get(product.id) || []) {
+            if (!rowsByKey.has(spec.key)) {
+                rowsByKey.set(spec.key, {
+                    key: spec.key,
+                    label: spec.label,
+                    unit: spec.unit,
+                    data_type: spec.data_type,
+                    values: new Array(products.length).fill(null)
+                });
+            }
+            rowsByKey.get(spec.key).values[index] = spec.value;
+        }
+    });
+
+    return Array.from(rowsByKey.values());
+};
+
+module.exports = {
+    SPEC_DATA_TYPES,
+    SpecValidationError,
+    loadProductSpecs,
+    setProductSpecs,
+    parseSpecFilters,
+    buildSpecFilterConditions,
+    buildComparisonMatrix
+};
@@ -0,0 +1,166 @@
+// backend/services/promotionEngine.js
+// Promotion rules (percentage, fixed amount, free shipping, buy X get Y), eligibility checks and redemptions.
+// All discount maths is done in cents so line discounts always add up to the order discount.
+const { toMinorUnits } = require('./paymentService');
+
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+
+// Error for a code that doesn't exist or can't be used for this cart/user
+class PromotionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromotionError';
+    }
+}
+
+// Split `totalCents` over lines proportionally to their totals. The last line absorbs rounding.
+const distributeCents = (totalCents, lineTotals) => {
+    const base = lineTotals.reduce((sum, cents) => sum + cents, 0);
+    let remaining = totalCents;
+    return lineTotals.map((cents, index) => {
+        if (index === lineTotals.length - 1) {
+            return remaining;
+        }
+        const share = base === 0 ? 0 : Math.floor(totalCents * cents / base);
+        remaining -= share;
+        return share;
+    });
+};
+
+// Compute the discount of a promotion for order lines.
+// `lines` is [{ productId, categoryId, unitPrice, quantity }], `eligible` is a parallel array of booleans
+// (scope check already done). Returns { lineDiscounts: [amount per line], discountAmount, freeShipping }.
+const calculateDiscount = (promotion, lines, eligible) => {
+    const lineDiscountCents = lines.map(() => 0);
+    const eligibleIndexes = lines.map((line, index) => index).filter(index => eligible[index]);
+    const lineTotalCents = lines.map(line => toMinorUnits(line.unitPrice) * line.quantity);
+    const eligibleCents = eligibleIndexes.reduce((sum, index) => sum + lineTotalCents[index], 0);
+
+    if (promotion.type === 'percentage') {
+        const percent = Math.min(parseFloat(promotion.value), 100);
+        const totalCents = Math.round(eligibleCents * percent / 100);
+        distributeCents(totalCents, eligibleIndexes.map(index => lineTotalCents[index]))
+            .forEach((cents, i) => { lineDiscountCents[eligibleIndexes[i]] = cents; });
+    } else if (promotion.type === 'fixed_amount') {
+        const totalCents = Math.min(toMinorUnits(promotion.value), eligibleCents); // Never discount below zero
+        distributeCents(totalCents, eligibleIndexes.map(index => lineTotalCents[index]))
+            .forEach((cents, i) => { lineDiscountCents[eligibleIndexes[i]] = cents; });
+    } else if (promotion.type === 'buy_x_get_y') {
+        // Expand eligible lines into single units, most expensive first. In every group of
+        // (buy + get) units, the `get` cheapest units are free.
+        const units = [];
+        for (const index of eligibleIndexes) {
+            for (let n = 0; n < lines[index].quantity; n++) {
+                units.push({ index, cents: toMinorUnits(lines[index].unitPrice) });
+            }
+        }
+        units.sort((a, b) => b.cents - a.cents);
+
+        const groupSize = promotion.buy_quantity + promotion.get_quantity;
+        for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+            for (let offset = promotion.buy_quantity; offset < groupSize; offset++) {
+                const unit = units[start + offset];
+                lineDiscountCents[unit.index] += unit.cents;
+            }
+        }
+    }
+
+    return {
+        lineDiscounts: lineDiscountCents.map(cents => cents / 100),
+        discountAmount: lineDiscountCents.reduce((sum, cents) => sum + cents, 0) / 100,
+        freeShipping: promotion.type === 'free_shipping'
+    };
+};
+
+// Which lines a promotion applies to: all of them when it isn't scoped, otherwise lines whose product
+// is listed or whose category is (a descendant of) a listed category.
+const findEligibleLines = async (db, promotionId, lines) => {
+    const scopeResult = await db.query(
+        `WITH RECURSIVE scoped_categories AS (
+            SELECT category_id AS id FROM promotion_categories WHERE promotion_id = $1
+            UNION
+            SELECT c.id FROM categories c JOIN scoped_categories s ON c.parent_id = s.id
+         )
+         SELECT ARRAY(SELECT product_id FROM promotion_products WHERE promotion_id = $1) AS product_ids,
+                ARRAY(SELECT id FROM scoped_categories) AS category_ids`,
+        [promotionId]
+    );
+    const { product_ids: productIds, category_ids: categoryIds } = scopeResult.rows[0];
+
+    if (productIds.length === 0 && categoryIds.length === 0) {
+        return lines.map(() => true);
+    }
+    return lines.map(line => productIds.includes(line.productId) || categoryIds.includes(line.categoryId));
+};
+
+// Validate a code for a user and cart and compute its discount. Inside a transaction the promotion row stays
+// locked so usage limits hold under concurrent checkouts. Throws PromotionError when not applicable.
+const applyPromotionCode = async (client, { code, userId, lines }) => {
+    const promotionResult = await client.query(
+        "SELECT * FROM promotions WHERE code = UPPER($1) FOR UPDATE",
+        [String(code).trim()]
+    );
+    const promotion = promotionResult.rows[0];
+    const now = new Date();
+
+    if (!promotion || !promotion.is_active) {
+        throw new PromotionError(`Promotion code "${code}" is not valid.`);
+    }
+    if ((promotion.starts_at && now < new Date(promotion.starts_at)) || (promotion.ends_at && now > new Date(promotion.ends_at))) {
+        throw new PromotionError(`Promotion code "${code}" is not valid at this time.`);
+    }
+    if (promotion.usage_limit !== null && promotion.times_used >= promotion.usage_limit) {
+        throw new PromotionError(`Promotion code "${code}" has reached its usage limit.`);
+    }
+    if (promotion.usage_limit_per_user !== null) {
+        const userUsage = await client.query(
+            "SELECT COUNT(*) AS count FROM promotion_redemptions WHERE promotion_id = $1 AND user_id = $2",
+            [promotion.id, userId]
+        );
+        if (parseInt(userUsage.rows[0].count) >= promotion.usage_limit_per_user) {
+            throw new PromotionError(`You have already used promotion code "${code}" the maximum number of times.`);
+        }
+    }
+
+    const subtotalCents = lines.reduce((sum, line) => sum + toMinorUnits(line.unitPrice) * line.quantity, 0);
+    if (promotion.min_cart_value !== null && subtotalCents < toMinorUnits(promotion.min_cart_value)) {
+        throw new PromotionError(`Promotion code "${code}" requires a minimum order of ${parseFloat(promotion.min_cart_value).toFixed(2)}.`);
+    }
+
+    const eligible = await findEligibleLines(client, promotion.id, lines);
+    if (!eligible.some(Boolean)) {
+        throw new PromotionError(`Promotion code "${code}" does not apply to any item in your order.`);
+    }
+
+    return { promotion, ...calculateDiscount(promotion, lines, eligible) };
+};
+
+// Record that an order used a promotion
+const recordRedemption = async (client, { promotion, userId, orderId, discountAmount }) => {
+    await client.query(
+        "INSERT INTO promotion_redemptions (promotion_id, user_id, order_id, discount_amount) VALUES ($1, $2, $3, $4)",
+        [promotion.id, userId, orderId, discountAmount]
+    );
+    await client.query("UPDATE promotions SET times_used = times_used + 1 WHERE id = $1", [promotion.id]);
+};
+
+// Give back the use of a promotion by an order that was cancelled (by the customer, staff, a failed payment or an
+// expired reservation) or deleted, so it counts against neither the per-user nor the global usage limit
+const releaseRedemption = async (client, orderId) => {
+    const released = await client.query(
+        "DELETE FROM promotion_redemptions WHERE order_id = $1 RETURNING promotion_id",
+        [orderId]
+    );
+    for (const redemption of released.rows) {
+        await client.query("UPDATE promotions SET times_used = GREATEST(times_used - 1, 0) WHERE id = $1", [redemption.promotion_id]);
+    }
+};
+
+module.exports = {
+    PROMOTION_TYPES,
+    PromotionError,
+    calculateDiscount,
+    applyPromotionCode,
+    recordRedemption,
+    releaseRedemption
+};
@@ -0,0 +1,93 @@
+// backend/services/rateLimitStore.js
+// Counter stores for the rate limiter (middleware/rateLimit.js). Every store keeps, per key, a count and the time
+// its window resets, and exposes the same async functions:
+//   increment(key, windowMs) -> { count, resetAt }   counts a hit; an expired or missing window starts over at 1
+//   get(key)                 -> { count, resetAt } | null for an expired or missing key
+//   set(key, count, resetAt)                         overwrites the key (used for lockouts)
+//   reset(key)                                       forgets the key
+//   prune()                  -> number of expired keys removed
+// The memory store is per process; the Postgres store shares the counters between instances.
+
+// Counters in a Map, for a single instance
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    const get = async (key) => {
+        const entry = entries.get(key);
+        if (!entry || entry.resetAt.getTime() <= Date.now()) {
+            return null;
+        }
+        return { ...entry };
+    };
+
+    return {
+        increment: async (key, windowMs) => {
+            const entry = await get(key);
+            const next = entry
+                ? { count: entry.count + 1, resetAt: entry.resetAt }
+                : { count: 1, resetAt: new Date(Date.now() + windowMs) };
+            entries.set(key, next);
+            return { ...next };
+        },
+        get,
+        set: async (key, count, resetAt) => {
+            entries.set(key, { count, resetAt });
+        },
+        reset: async (key) => {
+            entries.delete(key);
+        },
+        prune: async () => {
+            const now = Date.now();
+            let removed = 0;
+            for (const [key, entry] of entries) {
+                if (entry.resetAt.getTime() <= now) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+};
+
+// Counters in the rate_limits table (migrations/019_rate_limits.sql), for several instances.
+// increment is a single upsert, so concurrent hits on the same key are all counted.
+const createPostgresStore = (db) => ({
+    increment: async (key, windowMs) => {
+        const result = await db.query(
+            `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+             ON CONFLICT (key) DO UPDATE SET
+                 count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+                 reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+             RETURNING count, reset_at`,
+            [key, windowMs]
+        );
+        return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+    },
+    get: async (key) => {
+        const result = await db.query("SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()", [key]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+        return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+    },
+    set: async (key, count, resetAt) => {
+        await db.query(
+            `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, $2, $3)
+             ON CONFLICT (key) DO UPDATE SET count = EXCLUDED.count, reset_at = EXCLUDED.reset_at`,
+            [key, count, resetAt]
+        );
+    },
+    reset: async (key) => {
+        await db.query("DELETE FROM rate_limits WHERE key = $1", [key]);
+    },
+    prune: async () => {
+        const result = await db.query("DELETE FROM rate_limits WHERE reset_at <= NOW()");
+        return result.rowCount;
+    }
+});
+
+module.exports = {
+    createMemoryStore,
+    createPostgresStore
+};
@@ -0,0 +1,227 @@
+// backend/services/refundService.js
+// Order refunds through Stripe and reconciliation of refund/dispute webhook events.
+const { toMinorUnits, createRefund } = require('./paymentService');
+const { changeStock } = require('./inventoryService');
+
+// Error for refund requests that can't be fulfilled (bad input, nothing left to refund, ...)
+class RefundError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RefundError';
+        this.statusCode = statusCode;
+    }
+}
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// What the customer actually paid for `line.quantity` units of an item, in cents:
+// the purchase price minus the item's share of any promotion discount.
+const lineRefundCents = (line) => {
+    const itemCents = toMinorUnits(line.item.price_at_purchase) * line.item.quantity - toMinorUnits(line.item.discount_amount || 0);
+    return Math.round(itemCents * line.quantity / line.item.quantity);
+};
+
+// Work out which line items and quantities a refund covers.
+// No items and no amount means "refund everything not refunded yet".
+const resolveRefundLines = (orderItems, requestedItems, refundAll) => {
+    if (refundAll) {
+        return orderItems
+            .filter(item => item.quantity - item.refunded_quantity > 0)
+            .map(item => ({ item, quantity: item.quantity - item.refunded_quantity }));
+    }
+
+    return requestedItems.map(requested => {
+        const item = orderItems.find(orderItem => orderItem.id === requested.orderItemId);
+        if (!item) {
+            throw new RefundError(`Order item ${requested.orderItemId} does not belong to this order.`);
+        }
+        if (!Number.isInteger(requested.quantity) || requested.quantity < 1) {
+            throw new RefundError('Refund item quantities must be positive integers.');
+        }
+        const refundable = item.quantity - item.refunded_quantity;
+        if (requested.quantity > refundable) {
+            throw new RefundError(`Only ${refundable} of order item ${item.id} can still be refunded.`);
+        }
+        return { item, quantity: requested.quantity };
+    });
+};
+
+// Refund an order inside an open transaction. Either `items` ([{ orderItemId, quantity }]) or `amount`
+// may be given; with neither, the remaining balance is refunded in full. Stripe is called last, after every
+// local write, so the caller should COMMIT right after this returns.
+// Returns the stored refund row together with its items.
+const refundOrder = async (client, stripe, { orderId, items, amount, reason = null, restock = false, createdBy = null }) => {
+    const hasItems = Array.isArray(items) && items.length > 0;
+    if (hasItems && amount !== undefined) {
+        throw new RefundError('Provide either items or an amount to refund, not both.');
+    }
+    if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0))) {
+        throw new RefundError('Refund amount must be a positive number.');
+    }
+
+    const orderResult = await client.query(
+        "SELECT id, total_amount, amount_refunded, payment_status, stripe_payment_intent_id FROM orders WHERE id = $1 FOR UPDATE",
+        [orderId]
+    );
+    if (orderResult.rows.length === 0) {
+        throw new RefundError('Order not found.', 404);
+    }
+
+    const order = orderResult.rows[0];
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status) || !order.stripe_payment_intent_id) {
+        throw new RefundError(`Order with payment status "${order.payment_status}" cannot be refunded.`, 409);
+    }
+
+    // Amounts are compared in cents to avoid floating point drift
+    const remainingCents = toMinorUnits(order.total_amount) - toMinorUnits(order.amount_refunded);
+
+    const itemsResult = await client.query(
+        "SELECT id, product_id, variant_id, quantity, refunded_quantity, price_at_purchase, discount_amount FROM order_items WHERE order_id = $1 FOR UPDATE",
+        [orderId]
+    );
+    const refundAll = !hasItems && amount === undefined;
+    const lines = (hasItems || refundAll) ? resolveRefundLines(itemsResult.rows, items, refundAll) : [];
+
+    let refundCents;
+    if (amount !== undefined) {
+        refundCents = toMinorUnits(amount);
+    } else if (refundAll) {
+        refundCents = remainingCents;
+    } else {
+        refundCents = lines.reduce((sum, line) => sum + lineRefundCents(line), 0);
+    }
+
+    if (refundCents <= 0) {
+        throw new RefundError('Nothing left to refund on this order.', 409);
+    }
+    if (refundCents > remainingCents) {
+        throw new RefundError(`Refund exceeds the refundable balance of ${(remainingCents / 100).toFixed(2)}.`);
+    }
+
+    const refundAmount = refundCents / 100;
+    const shouldRestock = Boolean(restock) && lines.length > 0;
+
+    // Everything is written locally before Stripe moves any money: if a write fails (e.g. a restock the
+    // inventory refuses) the caller rolls back and nothing was refunded. The row stays 'pending' until Stripe answers.
+    const pendingResult = await client.query(
+        `INSERT INTO refunds (order_id, amount, status, reason, restocked, created_by)
+         VALUES ($1, $2, 'pending', $3, $4, $5)
+         RETURNING id`,
+        [orderId, refundAmount, reason, shouldRestock, createdBy]
+    );
+    const refundId = pendingResult.rows[0].id;
+
+    const refundItems = [];
+    for (const line of lines) {
+        const lineAmount = lineRefundCents(line) / 100;
+        const refundItem = await client.query(
+            "INSERT INTO refund_items (refund_id, order_item_id, quantity, amount) VALUES ($1, $2, $3, $4) RETURNING *",
+            [refundId, line.item.id, line.quantity, lineAmount]
+        );
+        refundItems.push(refundItem.rows[0]);
+
+        await client.query(
+            "UPDATE order_items SET refunded_quantity = refunded_quantity + $1 WHERE id = $2",
+            [line.quantity, line.item.id]
+        );
+        if (shouldRestock) {
+            await changeStock(client, {
+                productId: line.item.product_id,
+                variantId: line.item.variant_id,
+                change: line.quantity,
+                reason: 'return',
+                userId: createdBy,
+                orderId,
+                note: `Refund ${refundId}`
+            });
+        }
+    }
+
+    const fullyRefunded = refundCents === remainingCents;
+    await client.query(
+        "UPDATE orders SET amount_refunded = amount_refunded + $1, payment_status = $2, updated_at = NOW() WHERE id = $3",
+        [refundAmount, fullyRefunded ? 'refunded' : 'partially_refunded', orderId]
+    );
+
+    // Tied to the order's refunded total, so retrying the same request re-uses the same Stripe refund
+    const idempotencyKey = `refund-${orderId}-${toMinorUnits(order.amount_refunded)}-${refundCents}`;
+    const stripeRefund = await createRefund(stripe, {
+        paymentIntentId: order.stripe_payment_intent_id,
+        amount: refundAmount,
+        orderId,
+        idempotencyKey
+    });
+
+    // Reconcile with a row the charge.refunded webhook may already have recorded for the same Stripe refund:
+    // ours carries the items, restocked and created_by, so it replaces the webhook's
+    await client.query("DELETE FROM refunds WHERE stripe_refund_id = $1 AND id <> $2", [stripeRefund.id, refundId]);
+    const refundResult = await client.query(
+        "UPDATE refunds SET stripe_refund_id = $1, status = $2 WHERE id = $3 RETURNING *",
+        [stripeRefund.id, stripeRefund.status, refundId]
+    );
+    const refund = refundResult.rows[0];
+
+    return { ...refund, items: refundItems };
+};
+
+// charge.refunded webhook: bring the order in line with Stripe, which also covers refunds
+// issued from the Stripe dashboard. charge.amount_refunded is the cumulative total in cents.
+const handleChargeRefunded = async (db, charge) => {
+    if (!charge.payment_intent) {
+        return;
+    }
+
+    const orderResult = await db.query(
+        `UPDATE orders
+         SET amount_refunded = GREATEST(amount_refunded, $1),
+             payment_status = $2,
+             updated_at = NOW()
+         WHERE stripe_payment_intent_id = $3
+         RETURNING id`,
+        [charge.amount_refunded / 100, charge.refunded ? 'refunded' : 'partially_refunded', charge.payment_intent]
+    );
+    if (orderResult.rows.length === 0) {
+        console.log(`No order found for refunded PaymentIntent ${charge.payment_intent}.`);
+        return;
+    }
+
+    const orderId = orderResult.rows[0].id;
+    // Record refunds we didn't create ourselves (only present when Stripe includes the refunds list)
+    const stripeRefunds = (charge.refunds && charge.refunds.data) || [];
+    for (const stripeRefund of stripeRefunds) {
+        await db.query(
+            `INSERT INTO refunds (order_id, stripe_refund_id, amount, status, reason)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (stripe_refund_id) DO UPDATE SET status = EXCLUDED.status`, // Keeps restocked and created_by of our own refunds
+            [orderId, stripeRefund.id, stripeRefund.amount / 100, stripeRefund.status, stripeRefund.reason]
+        );
+    }
+    console.log(`Order ${orderId} refund total updated to ${charge.amount_refunded / 100}.`);
+};
+
+// charge.dispute.created webhook: flag the order so admins can respond to the dispute
+const handleDisputeCreated = async (db, dispute) => {
+    const paymentIntentId = typeof dispute.payment_intent === 'string' ? dispute.payment_intent : null;
+    if (!paymentIntentId) {
+        console.warn(`Dispute ${dispute.id} has no PaymentIntent; cannot match it to an order.`);
+        return;
+    }
+
+    const orderResult = await db.query(
+        "UPDATE orders SET dispute_status = $1, updated_at = NOW() WHERE stripe_payment_intent_id = $2 RETURNING id",
+        [dispute.status, paymentIntentId]
+    );
+    if (orderResult.rows.length === 0) {
+        console.log(`No order found for disputed PaymentIntent ${paymentIntentId}.`);
+        return;
+    }
+    console.warn(`Order ${orderResult.rows[0].id} is disputed (${dispute.reason}) for ${dispute.amount / 100}.`);
+};
+
+module.exports = {
+    REFUNDABLE_PAYMENT_STATUSES,
+    RefundError,
+    refundOrder,
+    handleChargeRefunded,
+    handleDisputeCreated
+};
@@ -0,0 +1,178 @@
+// backend/services/reportService.js
+// Sales reports computed with SQL aggregates over orders and order_items.
+// A sale is an order that was paid and not cancelled; refunds are reported separately, so gross revenue
+// includes orders that were later refunded.
+
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+const PAID_STATUSES_SQL = `('completed', 'partially_refunded', 'refunded')`;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse the query parameters shared by the reports: from and to (YYYY-MM-DD, both inclusive),
+// interval (day|week|month, default day) and limit (default 10, max 100). Returns { error } or { params }.
+const parseReportParams = (query) => {
+    const { from, to } = query;
+    const interval = query.interval || 'day';
+    const limit = Math.min(parseInt(query.limit) || 10, 100);
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format.' };
+    }
+    if (from && to && from > to) {
+        return { error: 'from must not be after to.' };
+    }
+    if (!REPORT_INTERVALS.includes(interval)) {
+        return { error: `Invalid interval. Must be one of: ${REPORT_INTERVALS.join(', ')}.` };
+    }
+    return { params: { from: from || null, to: to || null, interval, limit } };
+};
+
+// Date range condition on o.order_date using $1 (from) and $2 (to). A NULL bound is open.
+const DATE_RANGE_SQL = `($1::date IS NULL OR o.order_date >= $1::date) AND ($2::date IS NULL OR o.order_date < $2::date + 1)`;
+
+// pg returns NUMERIC and COUNT() as strings (periods are selected as YYYY-MM-DD text to avoid timezone shifts)
+const toNumbers = (rows, columns) => rows.map(row => {
+    const parsed = { ...row };
+    for (const column of columns) {
+        parsed[column] = row[column] === null ? null : Number(row[column]);
+    }
+    return parsed;
+});
+
+// Revenue, order count and average order value per day, week or month
+const salesReport = async (db, { from, to, interval }) => {
+    const result = await db.query(
+        `SELECT date_trunc($3, o.order_date)::date::text AS period,
+                COUNT(*) AS order_count,
+                SUM(o.total_amount) AS gross_revenue,
+                SUM(o.discount_amount) AS discounts,
+                SUM(o.shipping_amount) AS shipping,
+                SUM(o.tax_amount) AS tax,
+                SUM(o.amount_refunded) AS refunded,
+                SUM(o.total_amount - o.amount_refunded) AS net_revenue,
+                ROUND(AVG(o.total_amount), 2) AS average_order_value
+         FROM orders o
+         WHERE o.status <> 'cancelled' AND o.payment_status IN ${PAID_STATUSES_SQL} AND ${DATE_RANGE_SQL}
+         GROUP BY 1
+         ORDER BY 1`,
+        [from, to, interval]
+    );
+    return toNumbers(result.rows, ['order_count', 'gross_revenue', 'discounts', 'shipping', 'tax', 'refunded', 'net_revenue', 'average_order_value']);
+};
+
+// Best-selling products by units sold. Revenue is net of promotion discounts and of refunded units.
+const topProductsReport = async (db, { from, to, limit }) => {
+    const result = await db.query(
+        `SELECT p.id AS product_id, p.name, p.category,
+                SUM(oi.quantity - oi.refunded_quantity) AS units_sold,
+                SUM((oi.price_at_purchase * oi.quantity - oi.discount_amount) * (oi.quantity - oi.refunded_quantity) / oi.quantity) AS revenue,
+                COUNT(DISTINCT o.id) AS order_count
+         FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         JOIN products p ON oi.product_id = p.id
+         WHERE o.status <> 'cancelled' AND o.payment_status IN ${PAID_STATUSES_SQL} AND ${DATE_RANGE_SQL}
+         GROUP BY p.id
+         ORDER BY units_sold DESC, revenue DESC
+         LIMIT $3`,
+        [from, to, limit]
+    );
+    return toNumbers(result.rows, ['units_sold', 'revenue', 'order_count']).map(row => ({ ...row, revenue: Math.round(row.revenue * 100) / 100 }));
+};
+
+// Best-selling categories by revenue (the category a product is directly in)
+const topCategoriesReport = async (db, { from, to, limit }) => {
+    const result = await db.query(
+        `SELECT c.id AS category_id, COALESCE(c.name, p.category) AS category,
+                SUM(oi.quantity - oi.refunded_quantity) AS units_sold,
+                SUM((oi.price_at_purchase * oi.quantity - oi.discount_amount) * (oi.quantity - oi.refunded_quantity) / oi.quantity) AS revenue,
+                COUNT(DISTINCT o.id) AS order_count
+         FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         JOIN products p ON oi.product_id = p.id
+         LEFT JOIN categories c ON p.category_id = c.id
+         WHERE o.status <> 'cancelled' AND o.payment_status IN ${PAID_STATUSES_SQL} AND ${DATE_RANGE_SQL}
+         GROUP BY c.id, COALESCE(c.name, p.category)
+         ORDER BY revenue DESC
+         LIMIT $3`,
+        [from, to, limit]
+    );
+    return toNumbers(result.rows, ['units_sold', 'revenue', 'order_count']).map(row => ({ ...row, revenue: Math.round(row.revenue * 100) / 100 }));
+};
+
+// Customers who ordered per period, split into new (first paid order ever in that period) and returning
+const customersReport = async (db, { from, to, interval }) => {
+    const result = await db.query(
+        `WITH first_orders AS (
+            SELECT user_id, MIN(order_date) AS first_order_date
+            FROM orders
+            WHERE status <> 'cancelled' AND payment_status IN ${PAID_STATUSES_SQL}
+            GROUP BY user_id
+         )
+         SELECT date_trunc($3, o.order_date)::date::text AS period,
+                COUNT(DISTINCT o.user_id) AS customers,
+                COUNT(DISTINCT o.user_id) FILTER (WHERE date_trunc($3, f.first_order_date) = date_trunc($3, o.order_date)) AS new_customers,
+                COUNT(DISTINCT o.user_id) FILTER (WHERE date_trunc($3, f.first_order_date) < date_trunc($3, o.order_date)) AS returning_customers,
+                SUM(o.total_amount) FILTER (WHERE date_trunc($3, f.first_order_date) = date_trunc($3, o.order_date)) AS new_customer_revenue,
+                SUM(o.total_amount) FILTER (WHERE date_trunc($3, f.first_order_date) < date_trunc($3, o.order_date)) AS returning_customer_revenue
+         FROM orders o
+         JOIN first_orders f ON o.user_id = f.user_id
+         WHERE o.status <> 'cancelled' AND o.payment_status IN ${PAID_STATUSES_SQL} AND ${DATE_RANGE_SQL}
+         GROUP BY 1
+         ORDER BY 1`,
+        [from, to, interval]
+    );
+    return toNumbers(result.rows, ['customers', 'new_customers', 'returning_customers', 'new_customer_revenue', 'returning_customer_revenue'])
+        .map(row => ({
+            ...row,
+            new_customer_revenue: row.new_customer_revenue || 0,
+            returning_customer_revenue: row.returning_customer_revenue || 0
+        }));
+};
+
+// Share of paid orders that were (partly) refunded, and of revenue that was refunded, per period
+const refundsReport = async (db, { from, to, interval }) => {
+    const result = await db.query(
+        `SELECT date_trunc($3, o.order_date)::date::text AS period,
+                COUNT(*) AS paid_orders,
+                COUNT(*) FILTER (WHERE o.amount_refunded > 0) AS refunded_orders,
+                SUM(o.total_amount) AS gross_revenue,
+                SUM(o.amount_refunded) AS refunded_amount,
+                ROUND(COUNT(*) FILTER (WHERE o.amount_refunded > 0)::numeric / COUNT(*), 4) AS refund_rate,
+                ROUND(SUM(o.amount_refunded) / NULLIF(SUM(o.total_amount), 0), 4) AS refunded_revenue_rate
+         FROM orders o
+         WHERE o.payment_status IN ${PAID_STATUSES_SQL} AND ${DATE_RANGE_SQL}
+         GROUP BY 1
+         ORDER BY 1`,
+        [from, to, interval]
+    );
+    return toNumbers(result.rows, ['paid_orders', 'refunded_orders', 'gross_revenue', 'refunded_amount', 'refund_rate', 'refunded_revenue_rate']);
+};
+
+// Each report with its CSV columns, in output order
+const REPORTS = {
+    sales: {
+        run: salesReport,
+        columns: ['period', 'order_count', 'gross_revenue', 'discounts', 'shipping', 'tax', 'refunded', 'net_revenue', 'average_order_value']
+    },
+    'top-products': {
+        run: topProductsReport,
+        columns: ['product_id', 'name', 'category', 'units_sold', 'revenue', 'order_count']
+    },
+    'top-categories': {
+        run: topCategoriesReport,
+        columns: ['category_id', 'category', 'units_sold', 'revenue', 'order_count']
+    },
+    customers: {
+        run: customersReport,
+        columns: ['period', 'customers', 'new_customers', 'returning_customers', 'new_customer_revenue', 'returning_customer_revenue']
+    },
+    refunds: {
+        run: refundsReport,
+        columns: ['period', 'paid_orders', 'refunded_orders', 'gross_revenue', 'refunded_amount', 'refund_rate', 'refunded_revenue_rate']
+    }
+};
+
+module.exports = {
+    REPORT_INTERVALS,
+    REPORTS,
+    parseReportParams
+};
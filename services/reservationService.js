@@ -0,0 +1,114 @@
+// backend/services/reservationService.js
+// Stock reservations of unpaid orders. Placing an order takes its stock and holds it for RESERVATION_MINUTES
+// (reservation_status 'active'). A successful payment converts the reservation into a permanent sale; the
+// sweeper cancels orders whose reservation expired unpaid, which releases their stock.
+const pool = require('../config/db'); // Import the database pool
+const stripe = require('../config/stripe'); // Shared Stripe client
+const { transitionOrderStatus } = require('./orderLifecycle');
+
+const RESERVATION_MINUTES = parseInt(process.env.RESERVATION_MINUTES) || 30;
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// PaymentIntent statuses in which the customer has paid, or a payment is still being confirmed
+const PAID_OR_PAYING_INTENT_STATUSES = ['succeeded', 'processing', 'requires_capture'];
+
+// Turn an order's active reservation into a permanent sale. Returns true if there was one to convert.
+const convertReservation = async (db, orderId) => {
+    const converted = await db.query(
+        "UPDATE orders SET reservation_status = 'converted', reserved_until = NULL WHERE id = $1 AND reservation_status = 'active' RETURNING id",
+        [orderId]
+    );
+    return converted.rows.length > 0;
+};
+
+// Make sure an expiring order can no longer be paid: cancel its PaymentIntent unless the customer
+// has already paid (or is paying), in which case the order must not be expired. Returns true if safe to expire.
+const cancelUnpaidPaymentIntent = async (stripeClient, paymentIntentId) => {
+    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+    if (PAID_OR_PAYING_INTENT_STATUSES.includes(paymentIntent.status)) {
+        return false;
+    }
+    if (paymentIntent.status !== 'canceled') {
+        await stripeClient.paymentIntents.cancel(paymentIntentId);
+    }
+    return true;
+};
+
+// Cancel one order whose reservation expired unpaid, releasing its stock. Returns true if it was cancelled.
+const expireReservation = async (orderId, stripeClient = stripe) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // SKIP LOCKED: an order being paid or updated right now is left for the next sweep
+        const orderResult = await client.query(
+            `SELECT id, stripe_payment_intent_id FROM orders
+             WHERE id = $1 AND status = 'pending' AND reservation_status = 'active' AND reserved_until <= NOW()
+             FOR UPDATE SKIP LOCKED`,
+            [orderId]
+        );
+        if (orderResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        const { stripe_payment_intent_id: paymentIntentId } = orderResult.rows[0];
+        if (paymentIntentId && !await cancelUnpaidPaymentIntent(stripeClient, paymentIntentId)) {
+            await client.query('ROLLBACK');
+            return false; // Paid or paying: the payment webhook will convert the reservation
+        }
+
+        await transitionOrderStatus(client, { orderId, toStatus: 'cancelled', reason: 'Reservation expired before payment' });
+
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Expire every order whose reservation is past due. Returns the number of orders cancelled.
+const expireReservations = async (limit = 50, stripeClient = stripe) => {
+    const dueOrders = await pool.query(
+        `SELECT id FROM orders
+         WHERE status = 'pending' AND reservation_status = 'active' AND reserved_until <= NOW()
+         ORDER BY reserved_until ASC
+         LIMIT $1`,
+        [limit]
+    );
+
+    let expired = 0;
+    for (const { id } of dueOrders.rows) {
+        try {
+            if (await expireReservation(id, stripeClient)) {
+                expired++;
+            }
+        } catch (error) {
+            console.error(`Error expiring reservation of order ${id}:`, error.message); // Retried on the next sweep
+        }
+    }
+    return expired;
+};
+
+// Periodically expire unpaid reservations. unref() so the timer never keeps the process alive on its own.
+const startReservationSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        expireReservations()
+            .then(expired => expired > 0 && console.log(`Expired ${expired} unpaid order reservation(s).`))
+            .catch(err => console.error('Error sweeping order reservations:', err.message));
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    RESERVATION_MINUTES,
+    convertReservation,
+    expireReservation,
+    expireReservations,
+    startReservationSweeper
+};
@@ -0,0 +1,32 @@
+// backend/services/reviewService.js
+// Helpers shared by the product review and review moderation routes.
+
+const REVIEW_STATUSES = ['published', 'hidden', 'flagged'];
+
+// True if the user has a delivered order containing the product
+const hasDeliveredPurchase = async (db, userId, productId) => {
+    const purchaseResult = await db.query(
+        `SELECT 1 FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status = 'delivered'
+         LIMIT 1`,
+        [userId, productId]
+    );
+    return purchaseResult.rows.length > 0;
+};
+
+// Recompute the product's rating aggregates from its published reviews
+const refreshProductRating = (db, productId) => db.query(
+    `UPDATE products p
+     SET rating_average = stats.average, rating_count = stats.count
+     FROM (SELECT ROUND(AVG(rating)::numeric, 2) AS average, COUNT(*) AS count
+           FROM product_reviews WHERE product_id = $1 AND status = 'published') stats
+     WHERE p.id = $1`,
+    [productId]
+);
+
+module.exports = {
+    REVIEW_STATUSES,
+    hasDeliveredPurchase,
+    refreshProductRating
+};
@@ -0,0 +1,119 @@
+// backend/services/roleService.js
+// Roles and permissions. Every user has one role (users.role); a role grants a set of permissions
+// (role_permissions, see migrations/020_roles_permissions.sql). The 'admin' role always has every permission,
+// including ones added after it was created. Routes check permissions with requirePermission in authMiddleware.js.
+
+// Every permission the routes check, with what it allows. The permissions table lists the same names.
+const PERMISSIONS = {
+    'users:read': 'View every user account and address book',
+    'users:write': 'Edit and delete other user accounts and their addresses',
+    'roles:manage': 'Create and edit roles and assign them to users',
+    'products:write': 'Create, edit, import, export and delete products, variants and specifications',
+    'categories:write': 'Manage categories and specification attributes',
+    'promotions:manage': 'Manage promotion codes',
+    'reviews:moderate': 'Moderate and delete product reviews',
+    'orders:read': 'View every order and its refunds',
+    'orders:update': 'Change the status of any order',
+    'orders:delete': 'Delete any order',
+    'payments:manage': 'Change payment status, pay for and refund any order',
+    'inventory:read': 'View the stock ledger and low-stock alerts',
+    'inventory:write': 'Receive and adjust stock and set low-stock thresholds',
+    'messages:read': 'Read every message',
+    'messages:reply': 'Answer customer messages and mark them read',
+    'messages:delete': 'Delete any message',
+    'reports:read': 'View sales reports',
+    'webhooks:manage': 'View and replay Stripe webhook events',
+    'audit:read': 'View the audit log of staff actions'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+const ADMIN_ROLE = 'admin';
+const DEFAULT_ROLE = 'user';
+
+// Error for a missing role or user, or a role change that isn't allowed; carries the HTTP status
+class RoleError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RoleError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Whether `user` (req.user, with the permissions loaded by authenticateToken) has `permission`
+const hasPermission = (user, permission) => Boolean(user && user.permissions && user.permissions.includes(permission));
+
+// Permissions of `role`, or null if the role doesn't exist
+const getRolePermissions = async (db, role) => {
+    const roleResult = await db.query(
+        "SELECT ARRAY(SELECT permission FROM role_permissions WHERE role = r.name ORDER BY permission) AS permissions FROM roles r WHERE r.name = $1",
+        [role]
+    );
+    if (roleResult.rows.length === 0) {
+        return null;
+    }
+    return role === ADMIN_ROLE ? ALL_PERMISSIONS : roleResult.rows[0].permissions;
+};
+
+// Refuse to hand out permissions the acting user doesn't have, so roles:manage can't be used to escalate
+const assertCanGrant = (actor, permissions) => {
+    const missing = permissions.filter(permission => !hasPermission(actor, permission));
+    if (missing.length > 0) {
+        throw new RoleError(`Access denied. You can't grant permissions you don't have: ${missing.join(', ')}.`, 403);
+    }
+};
+
+// Refuse to let `actor` edit, deactivate or purge an account whose role has permissions the actor lacks,
+// so users:write can't be used to take over a more privileged account (e.g. by setting its password)
+const assertCanManageUser = async (db, actor, targetRole) => {
+    const permissions = (await getRolePermissions(db, targetRole)) || [];
+    if (!permissions.every(permission => hasPermission(actor, permission))) {
+        throw new RoleError('Access denied. You cannot manage accounts whose role has permissions you do not have.', 403);
+    }
+};
+
+// Give user `userId` the role `role` inside an open transaction, on behalf of `actor` (req.user).
+// Users can't change their own role, and the last admin can't be demoted. Returns { user, previousRole }.
+const assignRole = async (client, { userId, role, actor }) => {
+    if (userId === actor.userId) {
+        throw new RoleError('You cannot change your own role.', 403);
+    }
+
+    const permissions = await getRolePermissions(client, role);
+    if (!permissions) {
+        throw new RoleError(`Role "${role}" does not exist.`, 404);
+    }
+    assertCanGrant(actor, permissions);
+
+    const userResult = await client.query("SELECT role FROM users WHERE id = $1 FOR UPDATE", [userId]);
+    if (userResult.rows.length === 0) {
+        throw new RoleError('User not found.', 404);
+    }
+    const currentRole = userResult.rows[0].role;
+    if (currentRole === ADMIN_ROLE && role !== ADMIN_ROLE) {
+        assertCanGrant(actor, ALL_PERMISSIONS); // Only admins can demote an admin
+        const adminsResult = await client.query("SELECT COUNT(*) AS admins FROM users WHERE role = $1", [ADMIN_ROLE]);
+        if (parseInt(adminsResult.rows[0].admins) <= 1) {
+            throw new RoleError('Cannot remove the role of the last administrator.', 409);
+        }
+    }
+
+    // The user's tokens carry the old role, so authenticateToken makes them refresh and pick up the new one
+    const updatedUser = await client.query(
+        "UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING id, username, email, role, created_at, updated_at",
+        [role, userId]
+    );
+    return { user: updatedUser.rows[0], previousRole: currentRole };
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    ADMIN_ROLE,
+    DEFAULT_ROLE,
+    RoleError,
+    hasPermission,
+    getRolePermissions,
+    assertCanGrant,
+    assertCanManageUser,
+    assignRole
+};
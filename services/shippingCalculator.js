@@ -0,0 +1,118 @@
+// backend/services/shippingCalculator.js
+// Shipping cost per zone from pluggable rate rules. A rule calculator receives the rule config and the
+// shipment ({ subtotalCents, weightKg }) and returns a cost in cents, or null when the rule doesn't apply.
+const { toMinorUnits } = require('./paymentService');
+const defaultShippingZones = require('../config/shipping');
+
+// Error for an address we can't ship to
+class ShippingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShippingError';
+    }
+}
+
+const rateRules = {
+    flat: (rule) => toMinorUnits(rule.amount),
+    weight_based: (rule, { weightKg }) => {
+        if (rule.max_weight_kg !== undefined && weightKg > rule.max_weight_kg) {
+            return null;
+        }
+        return toMinorUnits(rule.base || 0) + Math.round(toMinorUnits(rule.per_kg) * weightKg);
+    },
+    free_over_threshold: (rule, { subtotalCents }) => (subtotalCents >= toMinorUnits(rule.threshold) ? 0 : null)
+};
+
+// Fields the built-in rule types can't do without. Every other rule field must be a number too.
+const REQUIRED_RULE_FIELDS = {
+    flat: ['amount'],
+    weight_based: ['per_kg'],
+    free_over_threshold: ['threshold']
+};
+
+// Add a rule type, e.g. registerRateRule('per_item', (rule, shipment) => ...)
+const registerRateRule = (type, calculator) => {
+    rateRules[type] = calculator;
+};
+
+// Check the configured zones when the server starts, so a bad SHIPPING_ZONES entry doesn't turn every order
+// into a server error. Throws an Error naming the index of the first bad zone.
+const validateShippingZones = (zones) => {
+    zones.forEach((zone, index) => {
+        const fail = (problem) => {
+            throw new Error(`SHIPPING_ZONES[${index}] ${problem}`);
+        };
+        if (!zone || typeof zone !== 'object') {
+            fail('must be an object.');
+        }
+        if (typeof zone.name !== 'string' || zone.name.trim() === '') {
+            fail('needs a name.');
+        }
+        if (!Array.isArray(zone.countries) || zone.countries.length === 0 || !zone.countries.every(country => typeof country === 'string')) {
+            fail('needs a countries array of country codes or "*".');
+        }
+        if (!Array.isArray(zone.rules) || zone.rules.length === 0) {
+            fail('needs a non-empty rules array.');
+        }
+        zone.rules.forEach((rule, ruleIndex) => {
+            if (!rule || !rateRules[rule.type]) {
+                fail(`rule ${ruleIndex} has an unknown type. Must be one of: ${Object.keys(rateRules).join(', ')}.`);
+            }
+            for (const field of REQUIRED_RULE_FIELDS[rule.type] || []) {
+                if (rule[field] === undefined) {
+                    fail(`rule ${ruleIndex} (${rule.type}) needs "${field}".`);
+                }
+            }
+            for (const [field, value] of Object.entries(rule)) {
+                if (field !== 'type' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                    fail(`rule ${ruleIndex} (${rule.type}): "${field}" must be a non-negative number.`);
+                }
+            }
+        });
+    });
+    return zones;
+};
+
+validateShippingZones(defaultShippingZones);
+
+// The zone for a country: an exact match first, then the '*' catch-all
+const findShippingZone = (country, zones = defaultShippingZones) =>
+    zones.find(zone => zone.countries.includes(country)) ||
+    zones.find(zone => zone.countries.includes('*')) ||
+    null;
+
+// Shipping for an order. `subtotal` is the merchandise total after discounts, `weightKg` the total weight.
+// Returns { shippingAmount, zone }. Throws ShippingError when no zone or rule covers the shipment.
+const calculateShipping = ({ country, subtotal, weightKg, freeShipping = false }, zones = defaultShippingZones) => {
+    const zone = findShippingZone(country, zones);
+    if (!zone) {
+        throw new ShippingError(`We do not ship to ${country}.`);
+    }
+    if (freeShipping) {
+        return { shippingAmount: 0, zone: zone.name };
+    }
+
+    const shipment = { subtotalCents: toMinorUnits(subtotal), weightKg };
+    const costs = zone.rules
+        .map(rule => {
+            const calculator = rateRules[rule.type];
+            if (!calculator) {
+                throw new Error(`Unknown shipping rate rule "${rule.type}" in zone "${zone.name}".`);
+            }
+            return calculator(rule, shipment);
+        })
+        .filter(cost => cost !== null);
+
+    if (costs.length === 0) {
+        throw new ShippingError(`No shipping option is available for this order to ${country}.`);
+    }
+    return { shippingAmount: Math.min(...costs) / 100, zone: zone.name };
+};
+
+module.exports = {
+    ShippingError,
+    registerRateRule,
+    validateShippingZones,
+    findShippingZone,
+    calculateShipping
+};
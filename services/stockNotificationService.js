@@ -0,0 +1,50 @@
+// backend/services/stockNotificationService.js
+// Back-in-stock ("notify me") notifications. Notifications are queued as inbox messages inside the
+// stock update transaction, and emailed once that transaction has committed.
+const { sendBackInStockEmail } = require('./accountEmails');
+
+// Claim every pending subscription of a product and queue an inbox message for each subscriber.
+// Claiming sets notified_at, so concurrent stock updates can't notify the same subscriber twice.
+// Deactivated and anonymized users are skipped.
+// Returns the notified subscribers ({ user_id, username, email, product_id, product_name }).
+const queueBackInStockNotifications = async (client, { productId, senderId }) => {
+    const claimed = await client.query(
+        `UPDATE stock_notifications n
+         SET notified_at = NOW()
+         FROM users u, products p
+         WHERE n.product_id = $1 AND n.notified_at IS NULL AND u.id = n.user_id AND p.id = n.product_id
+           AND u.deactivated_at IS NULL AND u.anonymized_at IS NULL
+         RETURNING n.user_id, u.username, u.email, p.id AS product_id, p.name AS product_name`,
+        [productId]
+    );
+
+    for (const subscriber of claimed.rows) {
+        await client.query(
+            "INSERT INTO messages (sender_id, receiver_id, subject, message_text) VALUES ($1, $2, $3, $4)",
+            [
+                senderId,
+                subscriber.user_id,
+                `${subscriber.product_name} is back in stock`,
+                `Good news! ${subscriber.product_name} is back in stock. You asked us to let you know when it was available again.`
+            ]
+        );
+    }
+    return claimed.rows;
+};
+
+// Email the subscribers returned by queueBackInStockNotifications. Call after COMMIT; a failed email is
+// logged and not retried, the inbox message is still there.
+const emailBackInStockNotifications = async (subscribers) => {
+    for (const subscriber of subscribers) {
+        try {
+            await sendBackInStockEmail(subscriber, { id: subscriber.product_id, name: subscriber.product_name });
+        } catch (mailError) {
+            console.error(`Error sending back-in-stock email to user ${subscriber.user_id}:`, mailError.message);
+        }
+    }
+};
+
+module.exports = {
+    queueBackInStockNotifications,
+    emailBackInStockNotifications
+};
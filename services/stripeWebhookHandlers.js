@@ -0,0 +1,87 @@
+// backend/services/stripeWebhookHandlers.js
+// Stripe webhook handlers, keyed by event type. Each handler receives the verified event and
+// throws on failure so the stored event is marked failed and retried. Handlers must be safe to
+// run more than once for the same event.
+const pool = require('../config/db'); // Import the database pool
+const { cancelOrderForFailedPayment } = require('./orderLifecycle');
+const { handleChargeRefunded, handleDisputeCreated } = require('./refundService');
+const { convertReservation } = require('./reservationService');
+
+const handlePaymentIntentSucceeded = async (event) => {
+    const paymentIntentSucceeded = event.data.object;
+    console.log(`PaymentIntent for ${paymentIntentSucceeded.amount} was successful!`);
+    // Update your order in the database to 'completed'
+    const orderIdFromMetadata = paymentIntentSucceeded.metadata.orderId;
+    if (!orderIdFromMetadata) {
+        return;
+    }
+
+    // Marking the order paid and converting its stock reservation into a sale happen together
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const paidOrder = await client.query(
+            "UPDATE orders SET payment_status = 'completed', updated_at = NOW() WHERE id = $1 AND stripe_payment_intent_id = $2 RETURNING id, status",
+            [orderIdFromMetadata, paymentIntentSucceeded.id]
+        );
+        if (paidOrder.rows.length > 0) {
+            await convertReservation(client, orderIdFromMetadata);
+        }
+        await client.query('COMMIT');
+
+        if (paidOrder.rows.length > 0 && paidOrder.rows[0].status === 'cancelled') {
+            // The sweeper cancels the PaymentIntent before expiring an order, so this needs a manual refund
+            console.error(`Order ${orderIdFromMetadata} was paid after it had been cancelled. It needs to be refunded.`);
+        }
+    } catch (dbErr) {
+        await client.query('ROLLBACK');
+        throw dbErr;
+    } finally {
+        client.release();
+    }
+    console.log(`Order ${orderIdFromMetadata} payment status updated to 'completed'.`);
+};
+
+const handlePaymentIntentFailed = async (event) => {
+    const paymentIntentFailed = event.data.object;
+    console.log(`PaymentIntent for ${paymentIntentFailed.amount} failed!`);
+    // Update your order in the database to 'failed'
+    const failedOrderIdFromMetadata = paymentIntentFailed.metadata.orderId;
+    if (!failedOrderIdFromMetadata) {
+        return;
+    }
+
+    // Marking the payment failed, cancelling the order and restoring its stock happen together
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const failedUpdate = await client.query(
+            "UPDATE orders SET payment_status = 'failed', updated_at = NOW() WHERE id = $1 AND stripe_payment_intent_id = $2 RETURNING id",
+            [failedOrderIdFromMetadata, paymentIntentFailed.id]
+        );
+        if (failedUpdate.rows.length > 0) {
+            await cancelOrderForFailedPayment(client, failedOrderIdFromMetadata);
+        }
+        await client.query('COMMIT');
+        console.log(`Order ${failedOrderIdFromMetadata} payment status updated to 'failed'.`);
+    } catch (dbErr) {
+        await client.query('ROLLBACK');
+        throw dbErr;
+    } finally {
+        client.release();
+    }
+};
+
+// Keeps refund totals in sync, including refunds issued from the Stripe dashboard
+const handleChargeRefundedEvent = (event) => handleChargeRefunded(pool, event.data.object);
+
+const handleDisputeCreatedEvent = (event) => handleDisputeCreated(pool, event.data.object);
+
+const stripeWebhookHandlers = {
+    'payment_intent.succeeded': handlePaymentIntentSucceeded,
+    'payment_intent.payment_failed': handlePaymentIntentFailed,
+    'charge.refunded': handleChargeRefundedEvent,
+    'charge.dispute.created': handleDisputeCreatedEvent
+};
+
+module.exports = stripeWebhookHandlers;
@@ -0,0 +1,27 @@
+// backend/services/taxCalculator.js
+// Sales tax from the configured per-region rates (see config/tax.js)
+const { toMinorUnits } = require('./paymentService');
+const defaultTaxRates = require('../config/tax');
+
+// The most specific rate for an address: country + region, then country-wide. Null if untaxed.
+const findTaxRate = ({ country, region }, rates = defaultTaxRates) =>
+    rates.find(rate => rate.country === country && region && rate.region === region) ||
+    rates.find(rate => rate.country === country && !rate.region) ||
+    null;
+
+// Tax for an order. `subtotal` is the merchandise total after discounts.
+// Returns { taxAmount, taxRate } where taxRate is the applied fraction (0 when untaxed).
+const calculateTax = ({ address, subtotal, shippingAmount }, rates = defaultTaxRates) => {
+    const rate = findTaxRate(address, rates);
+    if (!rate) {
+        return { taxAmount: 0, taxRate: 0 };
+    }
+
+    const taxableCents = toMinorUnits(subtotal) + (rate.shipping_taxable ? toMinorUnits(shippingAmount) : 0);
+    return { taxAmount: Math.round(taxableCents * rate.rate) / 100, taxRate: rate.rate };
+};
+
+module.exports = {
+    findTaxRate,
+    calculateTax
+};
@@ -0,0 +1,134 @@
+// backend/services/tokenService.js
+// Access token signing and rotating refresh tokens (stored hashed in refresh_tokens).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/db'); // Import the database pool
+
+const JWT_SECRET = process.env.JWT_SECRET; // JWT_SECRET will now come directly from Render's env vars
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Error thrown when a refresh token is unknown, expired or revoked
+class RefreshTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RefreshTokenError';
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token. tokenVersion lets authenticateToken reject it after a revocation.
+const signAccessToken = (user) => jwt.sign(
+    { userId: user.id, role: user.role, username: user.username, tokenVersion: user.token_version || 0 }, // Payload
+    JWT_SECRET, // Secret key
+    { expiresIn: ACCESS_TOKEN_TTL } // Token expiration time
+);
+
+// Create and store a new refresh token. Pass the familyId of the token being rotated, or omit it on login.
+// `db` can be the pool or a client inside a transaction.
+const issueRefreshToken = async (db, userId, familyId = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const inserted = await db.query(
+        `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+         RETURNING id`,
+        [userId, hashToken(refreshToken), familyId, REFRESH_TOKEN_TTL_DAYS]
+    );
+    return { refreshToken, id: inserted.rows[0].id };
+};
+
+// Issue the access/refresh pair returned by login
+const issueTokenPair = async (user) => {
+    const { refreshToken } = await issueRefreshToken(pool, user.id);
+    return { token: signAccessToken(user), refreshToken };
+};
+
+// Exchange a refresh token for a new pair. The old token is revoked and linked to its replacement.
+// Presenting a token that was already rotated means it was copied: the whole family is revoked
+// and the user's access tokens are invalidated.
+const rotateRefreshToken = async (refreshToken) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const tokenResult = await client.query(
+            `SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at, rt.replaced_by,
+                    u.username, u.role, u.token_version
+             FROM refresh_tokens rt
+             JOIN users u ON rt.user_id = u.id
+             WHERE rt.token_hash = $1
+             FOR UPDATE OF rt`,
+            [hashToken(refreshToken)]
+        );
+        if (tokenResult.rows.length === 0) {
+            throw new RefreshTokenError('Invalid refresh token.');
+        }
+
+        const stored = tokenResult.rows[0];
+
+        if (stored.revoked_at) {
+            if (stored.replaced_by) {
+                console.warn(`Refresh token reuse detected for User ID: ${stored.user_id}. Revoking token family ${stored.family_id}.`);
+                await client.query(
+                    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL",
+                    [stored.family_id]
+                );
+                await client.query("UPDATE users SET token_version = token_version + 1 WHERE id = $1", [stored.user_id]);
+                await client.query('COMMIT');
+            }
+            throw new RefreshTokenError('Refresh token has been revoked.');
+        }
+        if (new Date(stored.expires_at) <= new Date()) {
+            throw new RefreshTokenError('Refresh token has expired.');
+        }
+
+        const user = { id: stored.user_id, username: stored.username, role: stored.role, token_version: stored.token_version };
+        const next = await issueRefreshToken(client, user.id, stored.family_id);
+        await client.query(
+            "UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2",
+            [next.id, stored.id]
+        );
+
+        await client.query('COMMIT');
+        return { token: signAccessToken(user), refreshToken: next.refreshToken, user };
+
+    } catch (error) {
+        await client.query('ROLLBACK'); // No-op if the theft branch already committed
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Revoke the session (token family) a refresh token belongs to. Returns false if the token is unknown.
+const revokeRefreshTokenFamily = async (refreshToken) => {
+    const revoked = await pool.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1) AND revoked_at IS NULL
+         RETURNING id`,
+        [hashToken(refreshToken)]
+    );
+    if (revoked.rows.length > 0) {
+        return true;
+    }
+    const known = await pool.query("SELECT id FROM refresh_tokens WHERE token_hash = $1", [hashToken(refreshToken)]);
+    return known.rows.length > 0;
+};
+
+// Revoke every refresh token of a user and invalidate their outstanding access tokens.
+// `db` can be the pool or a client inside a transaction.
+const revokeAllUserTokens = async (db, userId) => {
+    await db.query("UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL", [userId]);
+    await db.query("UPDATE users SET token_version = token_version + 1 WHERE id = $1", [userId]);
+};
+
+module.exports = {
+    RefreshTokenError,
+    signAccessToken,
+    issueTokenPair,
+    rotateRefreshToken,
+    revokeRefreshTokenFamily,
+    revokeAllUserTokens
+};
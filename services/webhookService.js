@@ -0,0 +1,110 @@
+// backend/services/webhookService.js
+// Persists verified Stripe events in webhook_events, dispatches them to the handler registry,
+// and retries failed ones with exponential backoff.
+const pool = require('../config/db'); // Import the database pool
+const stripeWebhookHandlers = require('./stripeWebhookHandlers');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000;
+// An event stuck in 'processing' this long is assumed abandoned (e.g. the server restarted mid-handler)
+const STALE_PROCESSING_MINUTES = 10;
+
+// Minutes to wait before the next attempt: 1, 2, 4, ... capped at one hour
+const retryDelayMinutes = (attempts) => Math.min(2 ** (attempts - 1), 60);
+
+// Store a verified event. Returns false if an event with the same id was already stored.
+const storeEvent = async (event) => {
+    const inserted = await pool.query(
+        "INSERT INTO webhook_events (id, type, payload) VALUES ($1, $2, $3) ON CONFLICT (id) DO NOTHING RETURNING id",
+        [event.id, event.type, event]
+    );
+    return inserted.rows.length > 0;
+};
+
+// Atomically take ownership of an event so concurrent deliveries/retries don't run it twice.
+// `force` (admin replay) claims it whatever its status, except while another worker is running it.
+const claimEvent = async (eventId, force) => {
+    const claimable = force
+        ? "status <> 'processing'"
+        : "status IN ('pending', 'failed')";
+    const claimed = await pool.query(
+        `UPDATE webhook_events SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+         WHERE id = $1
+           AND (${claimable} OR (status = 'processing' AND updated_at < NOW() - make_interval(mins => $2)))
+         RETURNING *`,
+        [eventId, STALE_PROCESSING_MINUTES]
+    );
+    return claimed.rows[0] || null;
+};
+
+// Run the handler for a stored event and record the outcome.
+// Returns { status, error } where status is processed, ignored, failed or skipped (not claimable).
+const processEvent = async (eventId, { force = false } = {}) => {
+    const storedEvent = await claimEvent(eventId, force);
+    if (!storedEvent) {
+        return { status: 'skipped' };
+    }
+
+    const handler = stripeWebhookHandlers[storedEvent.type];
+    if (!handler) {
+        console.log(`Unhandled event type ${storedEvent.type}`);
+        await pool.query(
+            "UPDATE webhook_events SET status = 'ignored', processed_at = NOW(), updated_at = NOW() WHERE id = $1",
+            [eventId]
+        );
+        return { status: 'ignored' };
+    }
+
+    try {
+        await handler(storedEvent.payload);
+        await pool.query(
+            "UPDATE webhook_events SET status = 'processed', last_error = NULL, next_retry_at = NULL, processed_at = NOW(), updated_at = NOW() WHERE id = $1",
+            [eventId]
+        );
+        return { status: 'processed' };
+    } catch (handlerErr) {
+        console.error(`Webhook handler failed for event ${eventId} (${storedEvent.type}):`, handlerErr);
+        // Give up scheduling automatic retries after MAX_ATTEMPTS; an admin can still replay the event
+        const nextRetryMinutes = storedEvent.attempts < MAX_ATTEMPTS ? retryDelayMinutes(storedEvent.attempts) : null;
+        await pool.query(
+            `UPDATE webhook_events
+             SET status = 'failed', last_error = $2, updated_at = NOW(),
+                 next_retry_at = CASE WHEN $3::integer IS NULL THEN NULL ELSE NOW() + make_interval(mins => $3::integer) END
+             WHERE id = $1`,
+            [eventId, handlerErr.message, nextRetryMinutes]
+        );
+        return { status: 'failed', error: handlerErr.message };
+    }
+};
+
+// Process failed events whose retry time has come, plus abandoned 'processing' ones
+const retryDueEvents = async (limit = 20) => {
+    const dueEvents = await pool.query(
+        `SELECT id FROM webhook_events
+         WHERE (status = 'failed' AND next_retry_at <= NOW())
+            OR (status = 'processing' AND updated_at < NOW() - make_interval(mins => $2))
+         ORDER BY received_at ASC
+         LIMIT $1`,
+        [limit, STALE_PROCESSING_MINUTES]
+    );
+    for (const { id } of dueEvents.rows) {
+        await processEvent(id);
+    }
+    return dueEvents.rows.length;
+};
+
+// Periodically retry failed events. unref() so the timer never keeps the process alive on its own.
+const startWebhookRetryWorker = (intervalMs = RETRY_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        retryDueEvents().catch(err => console.error('Error retrying webhook events:', err.message));
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    storeEvent,
+    processEvent,
+    retryDueEvents,
+    startWebhookRetryWorker
+};